@@ -0,0 +1,97 @@
+// Cumulative activity: per-cell counts of births, deaths and state flips
+// since a chosen start generation. Unlike the trails, nothing fades, so a
+// long run shows which regions kept changing. The GPU engine counts in
+// activityMain, the CPU engine here; both keep the same layout.
+
+import { STATE_ALIVE, stateIndex } from "./states.js";
+
+// Counts are interleaved per cell, in this order (shared with activityMain)
+export const ACTIVITY_METRICS = [
+    { id: "births", name: "Births" },
+    { id: "deaths", name: "Deaths" },
+    { id: "flips", name: "State flips" },
+];
+
+// Header of the binary export: "CAHM", then width, height, start generation
+// and counted generations as little-endian u32, followed by the counts
+const BINARY_MAGIC = 0x4D484143;
+const BINARY_HEADER_WORDS = 5;
+
+// CPU version of activityMain; previous is the generation before state
+export function accumulateActivity(counts, state, previous) {
+    for (let idx = 0; idx < state.length; idx++) {
+        const current = stateIndex(state[idx]);
+        const before = stateIndex(previous[idx]);
+        if (current === before) continue;
+
+        if (current === STATE_ALIVE) counts[idx * 3]++;
+        if (before === STATE_ALIVE) counts[idx * 3 + 1]++;
+        counts[idx * 3 + 2]++;
+    }
+}
+
+// 0..1 for a count out of `generations`; the log scale lifts the cells that
+// changed only a few times
+export function heatLevel(count, generations, logScale) {
+    if (count === 0 || generations === 0) return 0;
+    const level = logScale ? Math.log2(1 + count) / Math.log2(1 + generations) : count / generations;
+    return Math.min(level, 1);
+}
+
+// Black through red and yellow to white, as heatColor() in shaders.wgsl
+export function heatColor(level) {
+    const smoothstep = (e0, e1, x) => {
+        const t = Math.min(Math.max((x - e0) / (e1 - e0), 0), 1);
+        return t * t * (3 - 2 * t);
+    };
+    return [smoothstep(0.0, 0.35, level), smoothstep(0.3, 0.75, level), smoothstep(0.7, 1.0, level)];
+}
+
+// Tints colorizeCells output in place the way fragmentMain does: the board
+// is dimmed and every cell that changed takes its heat colour
+export function applyHeatmap(rgba, counts, metric, generations, logScale) {
+    for (let i = 0; i < rgba.length / 4; i++) {
+        const count = counts[i * 3 + metric];
+        const heat = count > 0 ? heatColor(heatLevel(count, generations, logScale)) : null;
+        for (let c = 0; c < 3; c++) {
+            const dimmed = rgba[i * 4 + c] * 0.25;
+            rgba[i * 4 + c] = heat ? dimmed + (heat[c] * 255 - dimmed) * 0.9 : dimmed;
+        }
+    }
+}
+
+// The heatmap alone, one pixel per cell, for the PNG export
+export function heatmapImage(activity, metric, logScale, out) {
+    const { counts, generations } = activity;
+    for (let i = 0; i < out.length / 4; i++) {
+        const heat = heatColor(heatLevel(counts[i * 3 + metric], generations, logScale));
+        out[i * 4] = Math.round(heat[0] * 255);
+        out[i * 4 + 1] = Math.round(heat[1] * 255);
+        out[i * 4 + 2] = Math.round(heat[2] * 255);
+        out[i * 4 + 3] = 255;
+    }
+}
+
+// activity: { width, height, since, generations, counts } from readActivity.
+// One row per cell that changed at least once; the rest are all zero.
+export function activityToCsv(activity) {
+    const { width, counts } = activity;
+    const rows = ["x,y," + ACTIVITY_METRICS.map(m => m.id).join(",")];
+    for (let idx = 0; idx < counts.length / 3; idx++) {
+        if (counts[idx * 3 + 2] === 0) continue;
+        rows.push(`${idx % width},${Math.floor(idx / width)},${counts[idx * 3]},${counts[idx * 3 + 1]},${counts[idx * 3 + 2]}`);
+    }
+    return rows.join("\n") + "\n";
+}
+
+// Every cell's counts, row by row, after the header described above
+export function activityToBinary(activity) {
+    const { width, height, since, generations, counts } = activity;
+    const buffer = new ArrayBuffer((BINARY_HEADER_WORDS + counts.length) * 4);
+    const view = new DataView(buffer);
+    [BINARY_MAGIC, width, height, since, generations].forEach((value, i) => view.setUint32(i * 4, value, true));
+    for (let i = 0; i < counts.length; i++) {
+        view.setUint32((BINARY_HEADER_WORDS + i) * 4, counts[i], true);
+    }
+    return buffer;
+}
@@ -0,0 +1,141 @@
+// Object census: splits the live cells into 8-connected components (the
+// Moore neighbourhood the rules count), normalises each one for rotation
+// and reflection, and names it from the stamp library or the catalogue.
+
+import { STATE_ALIVE, stateIndex } from "./states.js";
+import { wrapCell } from "./topology.js";
+
+// Common Life objects, one entry per phase that differs up to symmetry
+export const CENSUS_CATALOGUE = [
+    { name: "Block", rows: ["oo", "oo"] },
+    { name: "Beehive", rows: [".oo.", "o..o", ".oo."] },
+    { name: "Loaf", rows: [".oo.", "o..o", ".o.o", "..o."] },
+    { name: "Boat", rows: ["oo.", "o.o", ".o."] },
+    { name: "Ship", rows: ["oo.", "o.o", ".oo"] },
+    { name: "Tub", rows: [".o.", "o.o", ".o."] },
+    { name: "Pond", rows: [".oo.", "o..o", "o..o", ".oo."] },
+    { name: "Long boat", rows: ["oo..", "o.o.", ".o.o", "..o."] },
+    { name: "Barge", rows: [".o..", "o.o.", ".o.o", "..o."] },
+    { name: "Snake", rows: ["oo.o", "o.oo"] },
+    { name: "Blinker", rows: ["ooo"] },
+    { name: "Toad", rows: [".ooo", "ooo."] },
+    { name: "Toad", rows: ["..o.", "o..o", "o..o", ".o.."] },
+    { name: "Beacon", rows: ["oo..", "oo..", "..oo", "..oo"] },
+    { name: "Beacon", rows: ["oo..", "o...", "...o", "..oo"] },
+    { name: "Glider", rows: [".o.", "..o", "ooo"] },
+    { name: "Glider", rows: ["o.o", ".oo", ".o."] },
+    { name: "LWSS", rows: [".oooo", "o...o", "....o", "o..o."] },
+    { name: "LWSS", rows: [".oo..", "oo.oo", ".oooo", "..oo."] },
+];
+
+// Components larger than this are not normalised, they are never catalogued
+// objects and a settled soup can leave one spanning the board
+const MAX_CANONICAL_CELLS = 4096;
+
+function cellBounds(cells) {
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    for (const { x, y } of cells) {
+        if (x < minX) minX = x;
+        if (x > maxX) maxX = x;
+        if (y < minY) minY = y;
+        if (y > maxY) maxY = y;
+    }
+    return { x: minX, y: minY, w: maxX - minX + 1, h: maxY - minY + 1 };
+}
+
+// The 8 rotations and reflections of a cell list, each shifted to the origin
+// and written as "WxH:x,y;x,y;..."; the smallest string is the canonical key
+export function canonicalKey(cells) {
+    if (cells.length > MAX_CANONICAL_CELLS) return `large:${cells.length}`;
+
+    let best = null;
+    for (let t = 0; t < 8; t++) {
+        const moved = cells.map(({ x, y }) => {
+            const a = t & 4 ? y : x;
+            const b = t & 4 ? x : y;
+            return { x: t & 1 ? -a : a, y: t & 2 ? -b : b };
+        });
+        const box = cellBounds(moved);
+        const points = moved
+            .map(c => [c.x - box.x, c.y - box.y])
+            .sort((p, q) => p[1] - q[1] || p[0] - q[0])
+            .map(p => p.join(","));
+        const key = `${box.w}x${box.h}:${points.join(";")}`;
+        if (best === null || key < best) best = key;
+    }
+    return best;
+}
+
+// Canonical key -> name, stamps first so the user's names win;
+// multi-state stamps are skipped since the census only sees alive cells
+export function buildCensusLibrary(patterns) {
+    const library = new Map();
+    for (const p of patterns) {
+        if (p.data.some(v => stateIndex(v) > STATE_ALIVE)) continue;
+        const cells = [];
+        for (let i = 0; i < p.data.length; i++) {
+            if (stateIndex(p.data[i]) === STATE_ALIVE) cells.push({ x: i % p.w, y: Math.floor(i / p.w) });
+        }
+        if (cells.length === 0) continue;
+        const key = canonicalKey(cells);
+        if (!library.has(key)) library.set(key, p.name);
+    }
+    for (const entry of CENSUS_CATALOGUE) {
+        const cells = [];
+        entry.rows.forEach((row, y) => {
+            for (let x = 0; x < row.length; x++) {
+                if (row[x] === "o") cells.push({ x, y });
+            }
+        });
+        const key = canonicalKey(cells);
+        if (!library.has(key)) library.set(key, entry.name);
+    }
+    return library;
+}
+
+// Components in unwrapped world cells, so an object straddling a wrapped
+// edge keeps its shape; bounded arenas do not connect across their edges
+export function findComponents(state, width, height, topology) {
+    const visited = new Uint8Array(width * height);
+    const components = [];
+
+    for (let start = 0; start < state.length; start++) {
+        if (visited[start] || stateIndex(state[start]) !== STATE_ALIVE) continue;
+
+        const cells = [];
+        const stack = [{ x: start % width, y: Math.floor(start / width) }];
+        visited[start] = 1;
+        while (stack.length > 0) {
+            const cell = stack.pop();
+            cells.push(cell);
+            for (let dy = -1; dy <= 1; dy++) {
+                for (let dx = -1; dx <= 1; dx++) {
+                    if (dx === 0 && dy === 0) continue;
+                    const n = wrapCell(cell.x + dx, cell.y + dy, width, height, topology);
+                    if (!n) continue;
+                    const idx = n.y * width + n.x;
+                    if (visited[idx] || stateIndex(state[idx]) !== STATE_ALIVE) continue;
+                    visited[idx] = 1;
+                    stack.push({ x: cell.x + dx, y: cell.y + dy });
+                }
+            }
+        }
+        components.push(cells);
+    }
+    return components;
+}
+
+// -> [{ key, name, population, objects: [{ cells, x, y, w, h }] }], most common first.
+// Unknown shapes keep name null and are grouped by shape.
+export function takeCensus(state, width, height, topology, library) {
+    const groups = new Map();
+    for (const cells of findComponents(state, width, height, topology)) {
+        const key = canonicalKey(cells);
+        if (!groups.has(key)) {
+            groups.set(key, { key, name: library.get(key) ?? null, population: cells.length, objects: [] });
+        }
+        groups.get(key).objects.push({ cells, ...cellBounds(cells) });
+    }
+    return [...groups.values()].sort((a, b) =>
+        b.objects.length - a.objects.length || (a.name === null) - (b.name === null) || a.population - b.population);
+}
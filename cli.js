@@ -0,0 +1,211 @@
+#!/usr/bin/env node
+// Headless batch runner on the CPU engine.
+//
+//   node cli.js --rule B3678/S34678 --size 512 --seed 42 --init soup:0.5 \
+//       --gens 10000 --out final.rle --png final.png
+//
+// Prints population and timing stats as JSON on stdout.
+
+import { writeFileSync } from "node:fs";
+import { deflateSync } from "node:zlib";
+import { DEFAULT_RULE, parseRule } from "./rules.js";
+import { TOPOLOGIES, topologyIndex } from "./topology.js";
+import { createCpuSimulation } from "./cpu-engine.js";
+import { DEFAULT_PALETTE, colorizeCells, paletteToFloats } from "./palette.js";
+import { createRandom, parseSeed, randomSeed } from "./random.js";
+import { STATE_NAMES, countStates } from "./states.js";
+import { encodeRle } from "./pattern-io.js";
+import { MAX_SIZE } from "./permalink.js";
+import { createInitialState, formatInitializer, parseInitializer } from "./initializers.js";
+
+const USAGE = `Usage: node cli.js [options]
+
+  --rule <rule>       B/S rule or alias (default ${DEFAULT_RULE})
+  --size <n|WxH>      grid size (default 256)
+  --topology <id>     ${TOPOLOGIES.map(t => t.id).join(", ")} (default torus)
+  --seed <n>          seed for the soup and chaos cells (default: random)
+  --init <name>       soup[:density], cross, dot, yinyang or blank (default soup:0.5)
+  --gens <n>          generations to run (default 1000)
+  --trails <decay>    keep trails with this decay, shown in the PNG
+  --out <file.rle>    write the final board as RLE
+  --png <file.png>    write the final board as PNG, one pixel per cell
+  --scale <n>         integer pixels per cell for --png (default 1)
+  --help              show this message
+`;
+
+function parseArgs(argv) {
+    const options = {};
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith("--")) {
+            throw new Error(`Unexpected argument "${arg}".`);
+        }
+        const eq = arg.indexOf("=");
+        if (eq >= 0) {
+            options[arg.slice(2, eq)] = arg.slice(eq + 1);
+        } else if (arg === "--help") {
+            options.help = true;
+        } else {
+            if (i + 1 >= argv.length) {
+                throw new Error(`Missing value for ${arg}.`);
+            }
+            options[arg.slice(2)] = argv[++i];
+        }
+    }
+    return options;
+}
+
+function parseInteger(value, name, min, max = Infinity) {
+    const n = Number(value);
+    if (!Number.isInteger(n) || n < min || n > max) {
+        const range = max === Infinity ? `>= ${min}` : `from ${min} to ${max}`;
+        throw new Error(`--${name} must be an integer ${range}, got "${value}".`);
+    }
+    return n;
+}
+
+function parseSize(value) {
+    const match = String(value).match(/^(\d+)(?:x(\d+))?$/i);
+    if (!match) {
+        throw new Error(`--size must be N or WxH, got "${value}".`);
+    }
+    // Capped like permalink sizes, so a typo can't allocate gigabytes
+    const width = parseInteger(match[1], "size", 1, MAX_SIZE);
+    const height = match[2] ? parseInteger(match[2], "size", 1, MAX_SIZE) : width;
+    return { width, height };
+}
+
+function populationStats(state) {
+    const counts = countStates(state);
+    return Object.fromEntries(STATE_NAMES.map((name, i) => [name, counts[i]]));
+}
+
+// --- PNG ---
+const CRC_TABLE = new Uint32Array(256).map((_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+function crc32(bytes) {
+    let c = 0xFFFFFFFF;
+    for (const b of bytes) {
+        c = CRC_TABLE[(c ^ b) & 0xFF] ^ (c >>> 8);
+    }
+    return (c ^ 0xFFFFFFFF) >>> 0;
+}
+
+function pngChunk(type, data) {
+    const chunk = Buffer.alloc(12 + data.length);
+    chunk.writeUInt32BE(data.length, 0);
+    chunk.write(type, 4, "ascii");
+    data.copy(chunk, 8);
+    chunk.writeUInt32BE(crc32(chunk.subarray(4, 8 + data.length)), 8 + data.length);
+    return chunk;
+}
+
+function encodePng(width, height, rgba) {
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8; // bit depth
+    header[9] = 6; // RGBA
+
+    // Filter byte 0 (none) in front of every scanline
+    const raw = Buffer.alloc((width * 4 + 1) * height);
+    for (let y = 0; y < height; y++) {
+        raw[y * (width * 4 + 1)] = 0;
+        Buffer.from(rgba.buffer, rgba.byteOffset + y * width * 4, width * 4).copy(raw, y * (width * 4 + 1) + 1);
+    }
+
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+        pngChunk("IHDR", header),
+        pngChunk("IDAT", deflateSync(raw)),
+        pngChunk("IEND", Buffer.alloc(0)),
+    ]);
+}
+
+function scaleRgba(rgba, width, height, scale) {
+    if (scale === 1) return rgba;
+    const out = new Uint8Array(width * scale * height * scale * 4);
+    for (let y = 0; y < height * scale; y++) {
+        for (let x = 0; x < width * scale; x++) {
+            const src = (Math.floor(y / scale) * width + Math.floor(x / scale)) * 4;
+            out.set(rgba.subarray(src, src + 4), (y * width * scale + x) * 4);
+        }
+    }
+    return out;
+}
+
+function main(argv) {
+    const options = parseArgs(argv);
+    if (options.help) {
+        process.stdout.write(USAGE);
+        return;
+    }
+
+    const rule = parseRule(options.rule ?? DEFAULT_RULE);
+    const { width, height } = parseSize(options.size ?? "256");
+    const topologyId = options.topology ?? "torus";
+    const topology = topologyIndex(topologyId);
+    const seed = options.seed === undefined ? randomSeed() : parseSeed(options.seed);
+    const init = parseInitializer(options.init ?? "soup:0.5");
+    const generations = parseInteger(options.gens ?? "1000", "gens", 0);
+    const scale = parseInteger(options.scale ?? "1", "scale", 1);
+    const trails = options.trails !== undefined;
+    const decay = trails ? Number(options.trails) : 0.9;
+    if (!(decay > 0 && decay < 1)) {
+        throw new Error(`--trails decay must be between 0 and 1, got "${options.trails}".`);
+    }
+
+    const random = createRandom(seed);
+    const sim = createCpuSimulation(width, height);
+    sim.setRule(rule);
+    sim.setTopology(topology);
+    sim.setHistory(decay, trails);
+    sim.setSeed(seed);
+    sim.load(createInitialState(init, width, height, random));
+
+    const initialPopulation = populationStats(sim.state);
+
+    const start = performance.now();
+    sim.run(generations);
+    const elapsed = performance.now() - start;
+
+    if (options.out) {
+        writeFileSync(options.out, encodeRle(sim.state, width, height, rule.rulestring));
+    }
+
+    if (options.png) {
+        const rgba = colorizeCells(sim.state, sim.history, paletteToFloats(DEFAULT_PALETTE), new Uint8Array(width * height * 4));
+        writeFileSync(options.png, encodePng(width * scale, height * scale, scaleRgba(rgba, width, height, scale)));
+    }
+
+    const stats = {
+        rule: rule.rulestring,
+        width,
+        height,
+        topology: topologyId,
+        seed,
+        init: formatInitializer(init),
+        generations,
+        initialPopulation,
+        population: populationStats(sim.state),
+        timing: {
+            totalMs: Number(elapsed.toFixed(3)),
+            msPerGeneration: generations > 0 ? Number((elapsed / generations).toFixed(4)) : 0,
+            generationsPerSecond: elapsed > 0 ? Number((generations / (elapsed / 1000)).toFixed(2)) : null,
+        },
+    };
+    process.stdout.write(JSON.stringify(stats, null, 2) + "\n");
+}
+
+try {
+    main(process.argv.slice(2));
+} catch (err) {
+    process.stderr.write(`${err.message}\n\n${USAGE}`);
+    process.exitCode = 1;
+}
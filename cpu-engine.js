@@ -0,0 +1,457 @@
+import { TOPOLOGY_DEAD, TOPOLOGY_ALIVE, TOPOLOGY_MIRROR, TOPOLOGY_KLEIN, TOPOLOGY_PROJECTIVE, TOPOLOGY_TORUS, neighborCell, wrapCell } from "./topology.js";
+import { colorizeCells } from "./palette.js";
+import { accumulateActivity, applyHeatmap } from "./activity.js";
+import { liveNeighbours, neighbourhood } from "./inspector.js";
+import { countPopulation } from "./population.js";
+import { COUNTS_ALWAYS, STATE_TABLE, neighbourValue, stateIndex } from "./states.js";
+import { STAMP_MODE_AND_NOT, STAMP_MODE_AS_STATE, STAMP_MODE_OVERWRITE, STAMP_MODE_PAINT, STAMP_MODE_TOGGLE } from "./paint-tools.js";
+
+// Pure-JavaScript twin of computeMain / historyMain / stampMain.
+// Used when WebGPU is missing, by the command line runner, and as a
+// reference to check GPU output against; runs match the GPU cell for cell.
+
+export function createCpuSimulation(width, height) {
+    const cellCount = width * height;
+    let state = new Float32Array(cellCount);
+    let nextState = new Float32Array(cellCount);
+    let history = new Float32Array(cellCount);
+    let nextHistory = new Float32Array(cellCount);
+
+    let birth = 0;
+    let survival = 0;
+    let topology = TOPOLOGY_TORUS;
+    let decay = Math.fround(0.9);
+    let trailsActive = false;
+    let seed = 0;
+    let generation = 0;
+
+    function step() {
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const idx = y * width + x;
+                const currentState = stateIndex(state[idx]);
+                let next;
+
+                if (!STATE_TABLE[currentState].mutable) {
+                    // Immutable states keep their value
+                    next = currentState;
+                } else {
+                    let activeNeighbors = 0;
+                    const interior = x > 0 && y > 0 && x < width - 1 && y < height - 1;
+
+                    for (let i = -1; i <= 1; i++) {
+                        for (let j = -1; j <= 1; j++) {
+                            if (i === 0 && j === 0) continue;
+
+                            let nx = x + i;
+                            let ny = y + j;
+                            if (!interior) {
+                                const n = neighborCell(nx, ny, width, height, topology);
+                                if (n.outside !== undefined) {
+                                    activeNeighbors += n.outside;
+                                    continue;
+                                }
+                                nx = n.x;
+                                ny = n.y;
+                            }
+
+                            const neighborState = stateIndex(state[ny * width + nx]);
+                            activeNeighbors += neighbourValue(neighborState, seed, generation, nx, ny, (i + 1) * 3 + (j + 1));
+                        }
+                    }
+
+                    const mask = STATE_TABLE[currentState].counts === COUNTS_ALWAYS ? survival : birth;
+                    next = (mask >> activeNeighbors) & 1;
+                }
+                nextState[idx] = next;
+
+                // historyMain, evaluated on the new state
+                let newHistory = history[idx] * decay;
+                if (STATE_TABLE[next].trail) {
+                    newHistory = 1.0;
+                }
+                if (!trailsActive) {
+                    newHistory = 0.0;
+                }
+                nextHistory[idx] = newHistory;
+            }
+        }
+
+        [state, nextState] = [nextState, state];
+        [history, nextHistory] = [nextHistory, history];
+        generation = (generation + 1) >>> 0;
+    }
+
+    function run(generations) {
+        for (let g = 0; g < generations; g++) {
+            step();
+        }
+    }
+
+    // Same logic as stampMain; (x, y) is the unwrapped world cell
+    function stamp(x, y, pattern, mode = STAMP_MODE_TOGGLE, targetState = 0) {
+        for (let py = 0; py < pattern.h; py++) {
+            for (let px = 0; px < pattern.w; px++) {
+                const patternVal = pattern.data[py * pattern.w + px];
+                // Only overwrite touches the pattern's empty cells
+                if (patternVal === 0 && mode !== STAMP_MODE_OVERWRITE) continue;
+
+                const cell = wrapCell(x + px, y + py, width, height, topology);
+                if (!cell) continue;
+
+                const idx = cell.y * width + cell.x;
+                if (mode === STAMP_MODE_PAINT) {
+                    // Paint strokes store state + 1
+                    state[idx] = patternVal - 1;
+                    continue;
+                }
+                if (mode !== STAMP_MODE_TOGGLE) {
+                    // STAMP_MODE_OVERWRITE / STAMP_MODE_OR write the pattern's own state
+                    if (mode === STAMP_MODE_AND_NOT) {
+                        state[idx] = 0.0;
+                    } else if (mode === STAMP_MODE_AS_STATE) {
+                        state[idx] = targetState;
+                    } else {
+                        state[idx] = patternVal;
+                    }
+                    continue;
+                }
+                if (patternVal > 1) {
+                    // Multi-state patterns write their state directly
+                    state[idx] = patternVal;
+                    continue;
+                }
+
+                // Toggle: each state turns into its partner from CELL_STATES
+                state[idx] = STATE_TABLE[stateIndex(state[idx])].toggle;
+            }
+        }
+    }
+
+    // Restarts the generation counter, like a fresh board in the app
+    function load(data, historyData) {
+        generation = 0;
+        state.set(data);
+        nextState.set(data);
+        if (historyData) {
+            history.set(historyData);
+        } else {
+            history.fill(0.0);
+        }
+    }
+
+    return {
+        width,
+        height,
+        get state() { return state; },
+        get history() { return history; },
+        // The generation before the last step (nextState until it is overwritten)
+        get previousState() { return nextState; },
+        get generation() { return generation; },
+        step,
+        run,
+        stamp,
+        load,
+        setRule(rule) {
+            birth = rule.birth;
+            survival = rule.survival;
+        },
+        setTopology(mode) {
+            topology = mode;
+        },
+        setHistory(decayValue, isActive) {
+            decay = Math.fround(decayValue);
+            trailsActive = isActive;
+        },
+        setSeed(value) {
+            seed = value >>> 0;
+        },
+        setGeneration(value) {
+            generation = value >>> 0;
+        },
+    };
+}
+
+// Largest board side the CPU engine accepts: a 4096x4096 board already
+// takes a quarter of a gigabyte in state and history arrays
+const MAX_GRID_SIZE = 4096;
+
+// Engine with the same interface as createGpuEngine, rendering through a 2D canvas
+export function createCpuEngine(canvas) {
+    const ctx = canvas.getContext("2d");
+    const gridCanvas = document.createElement("canvas");
+    const gridCtx = gridCanvas.getContext("2d");
+
+    let sim;
+    let imageData;
+    let dirty = true;
+
+    // Settings are kept here so they survive a resize
+    let rule = { birth: 0, survival: 0 };
+    let topology = TOPOLOGY_TORUS;
+    let decay = 0.9;
+    let trailsActive = false;
+    let seed = 0;
+    let colors = new Float32Array(24);
+    let panX = 0.0;
+    let panY = 0.0;
+    let zoom = 1.0;
+    let fitX = 1.0;
+    let fitY = 1.0;
+
+    // --- Activity ---
+    // Three counts per cell while counting, for every generation after
+    // activitySince (see activity.js)
+    let activityCounts = null;
+    let activitySince = 0;
+    let activityGenerations = 0;
+    let heatmap = { visible: false, metric: 0, logScale: false };
+
+    // Starts counting from zero, or stops and frees the counts
+    function setActivity(enabled, since = 0) {
+        activityCounts = enabled ? new Uint32Array(sim.width * sim.height * 3) : null;
+        activitySince = since >>> 0;
+        activityGenerations = 0;
+        dirty = true;
+    }
+
+    // --- Timeline ---
+    // Ring of recent boards (cells only, one byte each), index 0 = newest
+    let timelineCapacity = 0;
+    let timelineSlots = [];
+    let timelineHead = -1;
+    let timelineCount = 0;
+
+    function resetTimeline() {
+        timelineSlots = [];
+        timelineHead = -1;
+        timelineCount = 0;
+    }
+
+    function timelineSlot(index) {
+        return timelineSlots[(timelineHead - index + timelineCapacity) % timelineCapacity];
+    }
+
+    // Copies the live board into the ring, or over its newest entry after an edit
+    function recordTimeline(replaceNewest) {
+        if (timelineCapacity === 0) return;
+        if (!replaceNewest || timelineCount === 0) {
+            timelineHead = (timelineHead + 1) % timelineCapacity;
+            timelineCount = Math.min(timelineCount + 1, timelineCapacity);
+        }
+        if (!timelineSlots[timelineHead]) {
+            timelineSlots[timelineHead] = { cells: new Uint8Array(sim.width * sim.height), generation: 0 };
+        }
+        const slot = timelineSlots[timelineHead];
+        slot.cells.set(sim.state);
+        slot.generation = sim.generation;
+    }
+
+    // Makes an earlier board live again; trails restart from it.
+    // Returns that board's generation.
+    function restoreTimeline(index) {
+        const slot = timelineSlot(index);
+        sim.load(slot.cells);
+        sim.setGeneration(slot.generation);
+        dirty = true;
+        return slot.generation;
+    }
+
+    // Drops the newest entries so that entry `count` becomes the newest (branching)
+    function truncateTimeline(count) {
+        const dropped = Math.min(count, timelineCount);
+        timelineHead = (timelineHead - dropped + timelineCapacity) % timelineCapacity;
+        timelineCount -= dropped;
+    }
+
+    function resize(width, height) {
+        resetTimeline();
+        sim = createCpuSimulation(width, height);
+        sim.setRule(rule);
+        sim.setTopology(topology);
+        sim.setHistory(decay, trailsActive);
+        sim.setSeed(seed);
+
+        gridCanvas.width = width;
+        gridCanvas.height = height;
+        imageData = gridCtx.createImageData(width, height);
+        // A new grid size starts without counts
+        setActivity(false);
+    }
+
+    // Replaces the whole board and restarts the timeline from it
+    function upload(data, history, startGeneration = 0) {
+        sim.load(data, history);
+        sim.setGeneration(startGeneration);
+        dirty = true;
+
+        timelineHead = -1;
+        timelineCount = 0;
+        recordTimeline(false);
+    }
+
+    function stamp(x, y, pattern, mode, targetState) {
+        sim.stamp(x, y, pattern, mode, targetState);
+        dirty = true;
+        recordTimeline(true);
+    }
+
+    function draw() {
+        if (dirty) {
+            colorizeCells(sim.state, sim.history, colors, imageData.data);
+            if (heatmap.visible && activityCounts) {
+                applyHeatmap(imageData.data, activityCounts, heatmap.metric, activityGenerations, heatmap.logScale);
+            }
+            gridCtx.putImageData(imageData, 0, 0);
+            dirty = false;
+        }
+
+        const width = canvas.width;
+        const height = canvas.height;
+        ctx.imageSmoothingEnabled = false;
+        ctx.fillStyle = "#000";
+        ctx.fillRect(0, 0, width, height);
+
+        // One grid copy per visible tile, mirrored the way wrapCell flips them.
+        // At zoom 1 the board covers fitX by fitY of the canvas, centred.
+        const tileW = zoom * fitX * width;
+        const tileH = zoom * fitY * height;
+        const bounded = topology === TOPOLOGY_DEAD || topology === TOPOLOGY_ALIVE || topology === TOPOLOGY_MIRROR;
+        const minTx = bounded ? 0 : Math.floor((0.5 - 0.5 / fitX) / zoom - panX);
+        const maxTx = bounded ? 0 : Math.ceil((0.5 + 0.5 / fitX) / zoom - panX) - 1;
+        const minTy = bounded ? 0 : Math.floor((0.5 - 0.5 / fitY) / zoom - panY);
+        const maxTy = bounded ? 0 : Math.ceil((0.5 + 0.5 / fitY) / zoom - panY) - 1;
+
+        for (let ty = minTy; ty <= maxTy; ty++) {
+            for (let tx = minTx; tx <= maxTx; tx++) {
+                const oddX = ((tx % 2) + 2) % 2 === 1;
+                const oddY = ((ty % 2) + 2) % 2 === 1;
+                const flipX = (topology === TOPOLOGY_KLEIN || topology === TOPOLOGY_PROJECTIVE) && oddY;
+                const flipY = topology === TOPOLOGY_PROJECTIVE && oddX;
+
+                const sx = (((tx + panX) * zoom - 0.5) * fitX + 0.5) * width;
+                const sy = (((ty + panY) * zoom - 0.5) * fitY + 0.5) * height;
+
+                ctx.save();
+                ctx.translate(sx + (flipX ? tileW : 0), sy + (flipY ? tileH : 0));
+                ctx.scale(flipX ? -1 : 1, flipY ? -1 : 1);
+                ctx.drawImage(gridCanvas, 0, 0, tileW, tileH);
+                ctx.restore();
+            }
+        }
+    }
+
+    // Advances `steps` generations (0 just redraws), then renders; the same
+    // { timings, stats, work } result as the GPU engine
+    function frame(steps, profile, sampleAt = null) {
+        const t0 = performance.now();
+        const samples = [];
+        for (let i = 0; i < steps; i++) {
+            sim.step();
+            // Earlier steps would only be overwritten within this batch
+            if (i >= steps - timelineCapacity) recordTimeline(false);
+            if (activityCounts && sim.generation > activitySince) {
+                accumulateActivity(activityCounts, sim.state, sim.previousState);
+                activityGenerations++;
+            }
+            if (sampleAt && sampleAt(sim.generation)) {
+                samples.push(countPopulation(sim.state, sim.previousState, sim.width, sim.height, sim.generation, topology));
+            }
+        }
+        if (steps > 0) dirty = true;
+        const t1 = performance.now();
+        draw();
+        const t2 = performance.now();
+
+        return {
+            timings: profile ? Promise.resolve({ computeTime: t1 - t0, renderTime: t2 - t1 }) : null,
+            stats: Promise.resolve(samples),
+            work: Promise.resolve(t2 - t0),
+        };
+    }
+
+    function readState() {
+        return Promise.resolve({
+            width: sim.width,
+            height: sim.height,
+            state: sim.state.slice(),
+            history: sim.history.slice(),
+        });
+    }
+
+    // -> { state, history, neighbours } of grid cell (x, y); neighbours is
+    // the live count the next step will see
+    function readCell(x, y) {
+        const cells = neighbourhood(x, y, sim.width, sim.height, topology);
+        const states = cells.map(c => c.outside === undefined ? sim.state[c.y * sim.width + c.x] : 0);
+        const idx = y * sim.width + x;
+        return Promise.resolve({
+            state: sim.state[idx],
+            history: sim.history[idx],
+            neighbours: liveNeighbours(cells, states, seed, sim.generation),
+        });
+    }
+
+    function readActivity() {
+        return Promise.resolve({
+            width: sim.width,
+            height: sim.height,
+            since: activitySince,
+            generations: activityGenerations,
+            counts: activityCounts ? activityCounts.slice() : new Uint32Array(sim.width * sim.height * 3),
+        });
+    }
+
+    return {
+        kind: "cpu",
+        maxGridSize: MAX_GRID_SIZE,
+        resize,
+        upload,
+        stamp,
+        frame,
+        readState,
+        readCell,
+        readActivity,
+        setActivity,
+        setHeatmap(visible, metric, logScale) {
+            heatmap = { visible, metric, logScale };
+            dirty = true;
+        },
+        setRule(value) {
+            rule = value;
+            sim?.setRule(rule);
+        },
+        setTopology(mode) {
+            topology = mode;
+            sim?.setTopology(mode);
+        },
+        setHistory(decayValue, isActive) {
+            decay = decayValue;
+            trailsActive = isActive;
+            sim?.setHistory(decay, trailsActive);
+        },
+        setSeed(value) {
+            seed = value;
+            sim?.setSeed(value);
+        },
+        setTimelineCapacity(capacity) {
+            resetTimeline();
+            timelineCapacity = capacity;
+            if (sim) recordTimeline(false);
+        },
+        get timelineLength() { return timelineCount; },
+        restoreTimeline,
+        truncateTimeline,
+        setPalette(data) {
+            colors = data;
+            dirty = true;
+        },
+        setView(x, y, scale, fitWidth = 1.0, fitHeight = 1.0) {
+            panX = x;
+            panY = y;
+            zoom = scale;
+            fitX = fitWidth;
+            fitY = fitHeight;
+        },
+    };
+}
@@ -0,0 +1,40 @@
+// Custom stamps (saved selections and imported patterns), kept in
+// localStorage as RLE so they survive reloads.
+
+import { encodeRle, parseRle } from "./pattern-io.js";
+
+const STORAGE_KEY = "ca-custom-stamps";
+
+// Returns [{ name, w, h, data }]; unreadable entries are dropped
+export function loadCustomStamps(storage = window.localStorage) {
+    let entries;
+    try {
+        entries = JSON.parse(storage.getItem(STORAGE_KEY) || "[]");
+    } catch (err) {
+        return [];
+    }
+    if (!Array.isArray(entries)) return [];
+
+    const stamps = [];
+    for (const rle of entries) {
+        try {
+            const { name, w, h, data } = parseRle(rle);
+            stamps.push({ name, w, h, data });
+        } catch (err) {
+            // Skip it; the rest still load
+        }
+    }
+    return stamps;
+}
+
+// Returns false instead of throwing on quota errors: the stamps still work
+// for this session
+export function saveCustomStamps(stamps, storage = window.localStorage) {
+    const entries = stamps.map(s => encodeRle(s.data, s.w, s.h, null, s.name));
+    try {
+        storage.setItem(STORAGE_KEY, JSON.stringify(entries));
+        return true;
+    } catch (err) {
+        return false;
+    }
+}
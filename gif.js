@@ -0,0 +1,148 @@
+// Animated GIF encoder (GIF89a with LZW), enough for recording runs: every
+// frame covers the whole image and brings its own colour table, so trails
+// and palette changes don't have to fit one shared palette.
+
+const MAX_CODES = 4096;
+
+// Frames with more than 256 colours (long trails) fall back to a fixed
+// 3-3-2 bit colour cube
+function indexFrame(rgba) {
+    const pixelCount = rgba.length / 4;
+    const indices = new Uint8Array(pixelCount);
+    const lookup = new Map();
+    const colors = [];
+
+    for (let i = 0; i < pixelCount; i++) {
+        const rgb = (rgba[i * 4] << 16) | (rgba[i * 4 + 1] << 8) | rgba[i * 4 + 2];
+        let index = lookup.get(rgb);
+        if (index === undefined) {
+            if (colors.length === 256) return indexFrameQuantized(rgba);
+            index = colors.length;
+            lookup.set(rgb, index);
+            colors.push(rgb);
+        }
+        indices[i] = index;
+    }
+    return { indices, colors };
+}
+
+function indexFrameQuantized(rgba) {
+    const pixelCount = rgba.length / 4;
+    const indices = new Uint8Array(pixelCount);
+    for (let i = 0; i < pixelCount; i++) {
+        indices[i] = (rgba[i * 4] & 0xE0) | ((rgba[i * 4 + 1] & 0xE0) >> 3) | (rgba[i * 4 + 2] >> 6);
+    }
+    const colors = [];
+    for (let c = 0; c < 256; c++) {
+        const r = Math.round(((c >> 5) & 7) * 255 / 7);
+        const g = Math.round(((c >> 2) & 7) * 255 / 7);
+        const b = Math.round((c & 3) * 255 / 3);
+        colors.push((r << 16) | (g << 8) | b);
+    }
+    return { indices, colors };
+}
+
+// Variable-width LZW codes, packed least significant bit first
+function lzwEncode(indices, minCodeSize) {
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    const out = [];
+    let codeSize = minCodeSize + 1;
+    let nextCode = endCode + 1;
+    let table = new Map();
+    let bits = 0;
+    let bitCount = 0;
+
+    function emit(code) {
+        bits |= code << bitCount;
+        bitCount += codeSize;
+        while (bitCount >= 8) {
+            out.push(bits & 0xFF);
+            bits >>>= 8;
+            bitCount -= 8;
+        }
+    }
+
+    emit(clearCode);
+    let prefix = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+        const key = prefix * 256 + indices[i];
+        const code = table.get(key);
+        if (code !== undefined) {
+            prefix = code;
+            continue;
+        }
+        emit(prefix);
+        if (nextCode === MAX_CODES) {
+            emit(clearCode);
+            table = new Map();
+            codeSize = minCodeSize + 1;
+            nextCode = endCode + 1;
+        } else {
+            // The decoder widens its codes one entry later than we add them
+            if (nextCode >= (1 << codeSize)) codeSize++;
+            table.set(key, nextCode++);
+        }
+        prefix = indices[i];
+    }
+    emit(prefix);
+    emit(endCode);
+    if (bitCount > 0) out.push(bits & 0xFF);
+    return out;
+}
+
+function word(value) {
+    return [value & 0xFF, (value >> 8) & 0xFF];
+}
+
+// delay: centiseconds per frame. addFrame(rgba) takes width * height RGBA
+// pixels; finish() returns the file as a Uint8Array.
+export function createGifEncoder(width, height, delay) {
+    const chunks = [];
+
+    chunks.push(new Uint8Array([
+        ...[..."GIF89a"].map(c => c.charCodeAt(0)),
+        ...word(width), ...word(height),
+        0x00, 0x00, 0x00, // no global colour table
+        // NETSCAPE2.0 extension: loop forever
+        0x21, 0xFF, 0x0B, ...[..."NETSCAPE2.0"].map(c => c.charCodeAt(0)), 0x03, 0x01, 0x00, 0x00, 0x00,
+    ]));
+
+    return {
+        addFrame(rgba) {
+            const { indices, colors } = indexFrame(rgba);
+            let tableBits = 1;
+            while ((1 << tableBits) < colors.length) tableBits++;
+            const minCodeSize = Math.max(2, tableBits);
+
+            const bytes = [
+                0x21, 0xF9, 0x04, 0x00, ...word(delay), 0x00, 0x00, // graphic control
+                0x2C, 0x00, 0x00, 0x00, 0x00, ...word(width), ...word(height), 0x80 | (tableBits - 1),
+            ];
+            for (let i = 0; i < (1 << tableBits); i++) {
+                const rgb = colors[i] ?? 0;
+                bytes.push((rgb >> 16) & 0xFF, (rgb >> 8) & 0xFF, rgb & 0xFF);
+            }
+            bytes.push(minCodeSize);
+
+            const data = lzwEncode(indices, minCodeSize);
+            for (let i = 0; i < data.length; i += 255) {
+                const block = data.slice(i, i + 255);
+                bytes.push(block.length, ...block);
+            }
+            bytes.push(0x00);
+            chunks.push(Uint8Array.from(bytes));
+        },
+
+        finish() {
+            chunks.push(new Uint8Array([0x3B]));
+            const file = new Uint8Array(chunks.reduce((n, c) => n + c.length, 0));
+            let offset = 0;
+            for (const chunk of chunks) {
+                file.set(chunk, offset);
+                offset += chunk.length;
+            }
+            return file;
+        },
+    };
+}
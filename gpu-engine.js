@@ -0,0 +1,949 @@
+import { STAMP_MODE_TOGGLE } from "./paint-tools.js";
+import { STATS_COUNTERS, emptyCounters, statsFromCounters } from "./population.js";
+import { MAX_STATES, stateTableData } from "./states.js";
+import { TOPOLOGY_TORUS } from "./topology.js";
+import { liveNeighbours, neighbourhood } from "./inspector.js";
+
+const WORKGROUP_SIZE = 16;
+
+// WebGPU engine: owns the device, pipelines and ping-pong textures.
+// Throws when WebGPU is unavailable so the caller can fall back to the CPU engine.
+export async function createGpuEngine(canvas) {
+    if (!navigator.gpu) {
+        throw new Error("WebGPU not supported on this browser.");
+    }
+
+    const adapter = await navigator.gpu.requestAdapter();
+    if (!adapter) {
+        throw new Error("No appropriate GPUAdapter found.");
+    }
+
+    const requiredFeatures = [];
+    if (adapter.features.has('timestamp-query')) {
+        requiredFeatures.push('timestamp-query');
+    }
+
+    const device = await adapter.requestDevice({
+        requiredFeatures: requiredFeatures
+    });
+
+    const context = canvas.getContext("webgpu");
+    const presentationFormat = navigator.gpu.getPreferredCanvasFormat();
+
+    context.configure({
+        device: device,
+        format: presentationFormat,
+        alphaMode: "premultiplied",
+    });
+
+    // --- Profiling Setup ---
+    const canProfile = device.features.has('timestamp-query');
+    let querySet;
+    let queryResolveBuffer;
+    let queryResultBuffer;
+
+    if (canProfile) {
+        querySet = device.createQuerySet({
+            type: "timestamp",
+            count: 4,
+        });
+
+        queryResolveBuffer = device.createBuffer({
+            size: 4 * 8,
+            usage: GPUBufferUsage.QUERY_RESOLVE | GPUBufferUsage.COPY_SRC,
+        });
+
+        queryResultBuffer = device.createBuffer({
+            size: 4 * 8,
+            usage: GPUBufferUsage.COPY_DST | GPUBufferUsage.MAP_READ,
+        });
+    }
+
+    const shaderModule = device.createShaderModule({
+        label: "Cellular Automata Shaders",
+        code: await (await fetch("./shaders.wgsl")).text(),
+    });
+
+    // --- Pipelines ---
+    const computePipeline = device.createComputePipeline({
+        label: "Compute Pipeline",
+        layout: "auto",
+        compute: {
+            module: shaderModule,
+            entryPoint: "computeMain",
+        },
+    });
+
+    const renderPipeline = device.createRenderPipeline({
+        label: "Render Pipeline",
+        layout: "auto",
+        vertex: {
+            module: shaderModule,
+            entryPoint: "vertexMain",
+        },
+        fragment: {
+            module: shaderModule,
+            entryPoint: "fragmentMain",
+            targets: [{ format: presentationFormat }],
+        },
+        primitive: {
+            topology: "triangle-list",
+        },
+    });
+
+    const historyPipeline = device.createComputePipeline({
+        label: "History Pipeline",
+        layout: "auto",
+        compute: {
+            module: shaderModule,
+            entryPoint: "historyMain",
+        },
+    });
+
+    const stampPipeline = device.createComputePipeline({
+        label: "Stamp Pipeline",
+        layout: "auto",
+        compute: {
+            module: shaderModule,
+            entryPoint: "stampMain",
+        },
+    });
+
+    const statsPipeline = device.createComputePipeline({
+        label: "Stats Pipeline",
+        layout: "auto",
+        compute: {
+            module: shaderModule,
+            entryPoint: "statsMain",
+        },
+    });
+
+    const activityPipeline = device.createComputePipeline({
+        label: "Activity Pipeline",
+        layout: "auto",
+        compute: {
+            module: shaderModule,
+            entryPoint: "activityMain",
+        },
+    });
+
+    // --- Buffers (Size Independent) ---
+    // seed, generation
+    const simBuffer = device.createBuffer({
+        size: 16,
+        usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
+    });
+
+    const ruleBuffer = device.createBuffer({
+        size: 16,
+        usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
+    });
+
+    const topologyBuffer = device.createBuffer({
+        size: 16,
+        usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
+    });
+
+    // A colour per state, then the trail
+    const paletteBuffer = device.createBuffer({
+        size: (MAX_STATES + 1) * 16,
+        usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
+    });
+
+    // What each cell state does, fixed for the session (see states.js)
+    const stateTable = stateTableData();
+    const stateTableBuffer = device.createBuffer({
+        size: stateTable.byteLength,
+        usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
+    });
+    device.queue.writeBuffer(stateTableBuffer, 0, stateTable);
+
+    // offset, scale, fit
+    const viewUniformBuffer = device.createBuffer({
+        size: 32,
+        usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
+    });
+
+    const historyUniformBuffer = device.createBuffer({
+        size: 16,
+        usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
+    });
+
+    const stampUniformBuffer = device.createBuffer({
+        size: 32,
+        usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
+    });
+
+    const statsCounterBuffer = device.createBuffer({
+        size: STATS_COUNTERS * 4,
+        usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST | GPUBufferUsage.COPY_SRC,
+    });
+
+    // Copied over the counters before each sampled generation of a batch
+    const statsResetBuffer = device.createBuffer({
+        size: STATS_COUNTERS * 4,
+        usage: GPUBufferUsage.COPY_SRC | GPUBufferUsage.COPY_DST,
+    });
+    device.queue.writeBuffer(statsResetBuffer, 0, emptyCounters());
+
+    // visible, metric, logScale, generations counted
+    const heatmapUniformBuffer = device.createBuffer({
+        size: 16,
+        usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
+    });
+
+    // Three counts per cell while activity is being counted, a placeholder
+    // the render bind groups can hold otherwise (see setActivity)
+    let activityBuffer = device.createBuffer({
+        size: 16,
+        usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC,
+    });
+
+    // Readbacks in flight, so sampling every generation doesn't wait on the GPU
+    const MAX_STATS_READS = 8;
+    const statsReadBuffers = [];
+
+    // One (seed, generation) entry per step of a batch, copied into simBuffer
+    // ahead of each compute pass; grows with the largest batch so far
+    let simStagingBuffer = device.createBuffer({
+        size: 16 * 64,
+        usage: GPUBufferUsage.COPY_SRC | GPUBufferUsage.COPY_DST,
+    });
+
+    // Grows with the largest pattern stamped so far (see ensurePatternCapacity)
+    let patternDataBuffer = device.createBuffer({
+        size: 1024,
+        usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST,
+    });
+
+    // --- Dynamic Resources ---
+    let gridWidth = 0;
+    let gridHeight = 0;
+    let useTextureA = true;
+    let seed = 0;
+    let generation = 0;
+    let topology = TOPOLOGY_TORUS; // kept for the cell inspector
+    let textureA, textureB;
+    let historyTextureA, historyTextureB;
+    let computeBindGroupA, computeBindGroupB;
+    let historyBindGroupA, historyBindGroupB;
+    let renderBindGroupA, renderBindGroupB;
+    let stampBindGroupA, stampBindGroupB;
+    let statsBindGroupA, statsBindGroupB;
+    let activityBindGroupA, activityBindGroupB;
+
+    // --- Activity ---
+    // Counted for every generation after activitySince; the heatmap scale
+    // tops out at the number of generations counted
+    let activityEnabled = false;
+    let activitySince = 0;
+    let activityGenerations = 0;
+    let heatmap = { visible: false, metric: 0, logScale: false };
+
+    // --- Timeline ---
+    // Ring of recent boards (cells only), index 0 = newest. Slot textures are
+    // created on first use and kept until the capacity or grid size changes.
+    let timelineCapacity = 0;
+    let timelineSlots = [];
+    let timelineHead = -1;
+    let timelineCount = 0;
+
+    function destroyTimeline() {
+        for (const slot of timelineSlots) {
+            if (slot) slot.texture.destroy();
+        }
+        timelineSlots = [];
+        timelineHead = -1;
+        timelineCount = 0;
+    }
+
+    function timelineSlot(index) {
+        return timelineSlots[(timelineHead - index + timelineCapacity) % timelineCapacity];
+    }
+
+    // Copies the live board into the ring, or over its newest entry after an edit.
+    // Inside a batch the copy joins the batch's encoder.
+    function recordTimeline(replaceNewest, batchEncoder = null) {
+        if (timelineCapacity === 0) return;
+        if (!replaceNewest || timelineCount === 0) {
+            timelineHead = (timelineHead + 1) % timelineCapacity;
+            timelineCount = Math.min(timelineCount + 1, timelineCapacity);
+        }
+        if (!timelineSlots[timelineHead]) {
+            timelineSlots[timelineHead] = {
+                texture: device.createTexture({
+                    size: [gridWidth, gridHeight],
+                    format: "r32float",
+                    usage: GPUTextureUsage.COPY_DST | GPUTextureUsage.COPY_SRC,
+                }),
+                generation: 0,
+            };
+        }
+
+        const slot = timelineSlots[timelineHead];
+        slot.generation = generation;
+        const commandEncoder = batchEncoder ?? device.createCommandEncoder();
+        commandEncoder.copyTextureToTexture(
+            { texture: useTextureA ? textureA : textureB },
+            { texture: slot.texture },
+            [gridWidth, gridHeight]
+        );
+        if (!batchEncoder) device.queue.submit([commandEncoder.finish()]);
+    }
+
+    // Makes an earlier board live again; trails restart from it.
+    // Returns that board's generation.
+    function restoreTimeline(index) {
+        const slot = timelineSlot(index);
+        const commandEncoder = device.createCommandEncoder();
+        commandEncoder.copyTextureToTexture(
+            { texture: slot.texture },
+            { texture: useTextureA ? textureA : textureB },
+            [gridWidth, gridHeight]
+        );
+        device.queue.submit([commandEncoder.finish()]);
+
+        const zeros = new Float32Array(gridWidth * gridHeight);
+        for (const texture of [historyTextureA, historyTextureB]) {
+            device.queue.writeTexture({ texture }, zeros, { bytesPerRow: gridWidth * 4 }, { width: gridWidth, height: gridHeight });
+        }
+
+        generation = slot.generation;
+        return generation;
+    }
+
+    // Drops the newest entries so that entry `count` becomes the newest (branching)
+    function truncateTimeline(count) {
+        const dropped = Math.min(count, timelineCount);
+        timelineHead = (timelineHead - dropped + timelineCapacity) % timelineCapacity;
+        timelineCount -= dropped;
+    }
+
+    function resize(width, height) {
+        gridWidth = width;
+        gridHeight = height;
+        generation = 0;
+        destroyTimeline();
+
+        if (textureA) textureA.destroy();
+        if (textureB) textureB.destroy();
+        if (historyTextureA) historyTextureA.destroy();
+        if (historyTextureB) historyTextureB.destroy();
+
+        const textureDesc = {
+            size: [gridWidth, gridHeight],
+            format: "r32float",
+            usage: GPUTextureUsage.TEXTURE_BINDING |
+                GPUTextureUsage.STORAGE_BINDING |
+                GPUTextureUsage.COPY_DST |
+                GPUTextureUsage.COPY_SRC,
+        };
+
+        textureA = device.createTexture(textureDesc);
+        textureB = device.createTexture(textureDesc);
+        historyTextureA = device.createTexture(textureDesc);
+        historyTextureB = device.createTexture(textureDesc);
+
+        // --- Bind Groups ---
+        computeBindGroupA = device.createBindGroup({
+            layout: computePipeline.getBindGroupLayout(0),
+            entries: [
+                { binding: 1, resource: textureA.createView() },
+                { binding: 2, resource: textureB.createView() },
+                { binding: 3, resource: { buffer: simBuffer } },
+                { binding: 10, resource: { buffer: ruleBuffer } },
+                { binding: 11, resource: { buffer: topologyBuffer } },
+                { binding: 16, resource: { buffer: stateTableBuffer } },
+            ],
+        });
+
+        computeBindGroupB = device.createBindGroup({
+            layout: computePipeline.getBindGroupLayout(0),
+            entries: [
+                { binding: 1, resource: textureB.createView() },
+                { binding: 2, resource: textureA.createView() },
+                { binding: 3, resource: { buffer: simBuffer } },
+                { binding: 10, resource: { buffer: ruleBuffer } },
+                { binding: 11, resource: { buffer: topologyBuffer } },
+                { binding: 16, resource: { buffer: stateTableBuffer } },
+            ],
+        });
+
+        // History ping-pongs in step with the cells: the trail that belongs
+        // to cell texture B lives in history texture A and vice versa.
+        historyBindGroupA = device.createBindGroup({
+            layout: historyPipeline.getBindGroupLayout(0),
+            entries: [
+                { binding: 1, resource: textureA.createView() },
+                { binding: 7, resource: { buffer: historyUniformBuffer } },
+                { binding: 8, resource: historyTextureA.createView() },
+                { binding: 9, resource: historyTextureB.createView() },
+                { binding: 16, resource: { buffer: stateTableBuffer } },
+            ],
+        });
+
+        historyBindGroupB = device.createBindGroup({
+            layout: historyPipeline.getBindGroupLayout(0),
+            entries: [
+                { binding: 1, resource: textureB.createView() },
+                { binding: 7, resource: { buffer: historyUniformBuffer } },
+                { binding: 8, resource: historyTextureB.createView() },
+                { binding: 9, resource: historyTextureA.createView() },
+                { binding: 16, resource: { buffer: stateTableBuffer } },
+            ],
+        });
+
+        // The texture not holding the current cells still holds the generation before
+        statsBindGroupA = device.createBindGroup({
+            layout: statsPipeline.getBindGroupLayout(0),
+            entries: [
+                { binding: 1, resource: textureA.createView() },
+                { binding: 11, resource: { buffer: topologyBuffer } },
+                { binding: 12, resource: textureB.createView() },
+                { binding: 13, resource: { buffer: statsCounterBuffer } },
+                { binding: 16, resource: { buffer: stateTableBuffer } },
+            ],
+        });
+
+        statsBindGroupB = device.createBindGroup({
+            layout: statsPipeline.getBindGroupLayout(0),
+            entries: [
+                { binding: 1, resource: textureB.createView() },
+                { binding: 11, resource: { buffer: topologyBuffer } },
+                { binding: 12, resource: textureA.createView() },
+                { binding: 13, resource: { buffer: statsCounterBuffer } },
+                { binding: 16, resource: { buffer: stateTableBuffer } },
+            ],
+        });
+
+        createStampBindGroups();
+        // A new grid size starts without counts
+        setActivity(false);
+
+        const blankData = new Float32Array(gridWidth * gridHeight);
+        blankData.fill(0.0);
+        upload(blankData);
+    }
+
+    function createStampBindGroups() {
+        stampBindGroupA = device.createBindGroup({
+            layout: stampPipeline.getBindGroupLayout(0),
+            entries: [
+                { binding: 1, resource: textureA.createView() },
+                { binding: 2, resource: textureB.createView() },
+                { binding: 4, resource: { buffer: stampUniformBuffer } },
+                { binding: 5, resource: { buffer: patternDataBuffer } },
+                { binding: 11, resource: { buffer: topologyBuffer } },
+                { binding: 16, resource: { buffer: stateTableBuffer } },
+            ],
+        });
+
+        stampBindGroupB = device.createBindGroup({
+            layout: stampPipeline.getBindGroupLayout(0),
+            entries: [
+                { binding: 1, resource: textureB.createView() },
+                { binding: 2, resource: textureA.createView() },
+                { binding: 4, resource: { buffer: stampUniformBuffer } },
+                { binding: 5, resource: { buffer: patternDataBuffer } },
+                { binding: 11, resource: { buffer: topologyBuffer } },
+                { binding: 16, resource: { buffer: stateTableBuffer } },
+            ],
+        });
+    }
+
+    // The render pass reads the counts for the heatmap, so it is rebuilt
+    // along with the activity pass whenever activityBuffer changes
+    function createActivityBindGroups() {
+        renderBindGroupA = device.createBindGroup({
+            layout: renderPipeline.getBindGroupLayout(0),
+            entries: [
+                { binding: 0, resource: { buffer: paletteBuffer } },
+                { binding: 3, resource: textureA.createView() },
+                { binding: 6, resource: { buffer: viewUniformBuffer } },
+                { binding: 8, resource: historyTextureB.createView() },
+                { binding: 11, resource: { buffer: topologyBuffer } },
+                { binding: 14, resource: { buffer: activityBuffer } },
+                { binding: 15, resource: { buffer: heatmapUniformBuffer } },
+                { binding: 16, resource: { buffer: stateTableBuffer } },
+            ],
+        });
+
+        renderBindGroupB = device.createBindGroup({
+            layout: renderPipeline.getBindGroupLayout(0),
+            entries: [
+                { binding: 0, resource: { buffer: paletteBuffer } },
+                { binding: 3, resource: textureB.createView() },
+                { binding: 6, resource: { buffer: viewUniformBuffer } },
+                { binding: 8, resource: historyTextureA.createView() },
+                { binding: 11, resource: { buffer: topologyBuffer } },
+                { binding: 14, resource: { buffer: activityBuffer } },
+                { binding: 15, resource: { buffer: heatmapUniformBuffer } },
+                { binding: 16, resource: { buffer: stateTableBuffer } },
+            ],
+        });
+
+        activityBindGroupA = device.createBindGroup({
+            layout: activityPipeline.getBindGroupLayout(0),
+            entries: [
+                { binding: 1, resource: textureA.createView() },
+                { binding: 12, resource: textureB.createView() },
+                { binding: 14, resource: { buffer: activityBuffer } },
+                { binding: 16, resource: { buffer: stateTableBuffer } },
+            ],
+        });
+
+        activityBindGroupB = device.createBindGroup({
+            layout: activityPipeline.getBindGroupLayout(0),
+            entries: [
+                { binding: 1, resource: textureB.createView() },
+                { binding: 12, resource: textureA.createView() },
+                { binding: 14, resource: { buffer: activityBuffer } },
+                { binding: 16, resource: { buffer: stateTableBuffer } },
+            ],
+        });
+    }
+
+    // Starts counting from zero, for every generation after `since`, or
+    // stops and frees the counts. Throws when the grid is too large to count.
+    function setActivity(enabled, since = 0) {
+        const size = enabled ? gridWidth * gridHeight * 3 * 4 : 16;
+        if (size > device.limits.maxStorageBufferBindingSize) {
+            throw new Error(`Counting activity on a ${gridWidth}x${gridHeight} grid needs ${Math.ceil(size / (1024 * 1024))} MB in one buffer, more than this GPU allows.`);
+        }
+
+        activityEnabled = enabled;
+        activitySince = since >>> 0;
+        activityGenerations = 0;
+        activityBuffer.destroy();
+        activityBuffer = device.createBuffer({
+            size,
+            usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC,
+        });
+        createActivityBindGroups();
+        writeHeatmapUniforms();
+    }
+
+    // The heatmap only shows while activity is being counted
+    function writeHeatmapUniforms() {
+        const visible = heatmap.visible && activityEnabled;
+        device.queue.writeBuffer(heatmapUniformBuffer, 0, new Uint32Array([visible ? 1 : 0, heatmap.metric, heatmap.logScale ? 1 : 0, activityGenerations]));
+    }
+
+    // Loaded patterns can be far larger than the built-in stamps
+    function ensurePatternCapacity(byteLength) {
+        if (byteLength <= patternDataBuffer.size) return;
+
+        let size = patternDataBuffer.size;
+        while (size < byteLength) size *= 2;
+
+        patternDataBuffer.destroy();
+        patternDataBuffer = device.createBuffer({
+            size,
+            usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST,
+        });
+        createStampBindGroups();
+    }
+
+    // Replaces the whole board and restarts the timeline from it;
+    // trails are cleared unless a history plane is given
+    function upload(data, history, startGeneration = 0) {
+        const historyData = history || new Float32Array(gridWidth * gridHeight);
+        for (const [texture, values] of [[textureA, data], [textureB, data], [historyTextureA, historyData], [historyTextureB, historyData]]) {
+            device.queue.writeTexture(
+                { texture },
+                values,
+                { bytesPerRow: gridWidth * 4 },
+                { width: gridWidth, height: gridHeight }
+            );
+        }
+        useTextureA = true;
+        generation = startGeneration;
+
+        timelineHead = -1;
+        timelineCount = 0;
+        recordTimeline(false);
+    }
+
+    // (x, y) is the unwrapped world cell, stampMain resolves it through the topology
+    function stamp(x, y, pattern, mode = STAMP_MODE_TOGGLE, state = 0) {
+        const patternArray = new Uint32Array(pattern.data);
+        ensurePatternCapacity(patternArray.byteLength);
+        device.queue.writeBuffer(patternDataBuffer, 0, patternArray);
+
+        device.queue.writeBuffer(stampUniformBuffer, 0, new Int32Array([x, y, pattern.w, pattern.h, mode, state, 0, 0]));
+
+        const commandEncoder = device.createCommandEncoder();
+
+        const src = useTextureA ? textureA : textureB;
+        const dst = useTextureA ? textureB : textureA;
+
+        commandEncoder.copyTextureToTexture(
+            { texture: src },
+            { texture: dst },
+            [gridWidth, gridHeight]
+        );
+
+        // Carry the trails over to the history texture paired with dst
+        commandEncoder.copyTextureToTexture(
+            { texture: useTextureA ? historyTextureB : historyTextureA },
+            { texture: useTextureA ? historyTextureA : historyTextureB },
+            [gridWidth, gridHeight]
+        );
+
+        const pass = commandEncoder.beginComputePass();
+        pass.setPipeline(stampPipeline);
+        pass.setBindGroup(0, useTextureA ? stampBindGroupA : stampBindGroupB);
+        pass.dispatchWorkgroups(Math.ceil(pattern.w / WORKGROUP_SIZE), Math.ceil(pattern.h / WORKGROUP_SIZE));
+        pass.end();
+
+        device.queue.submit([commandEncoder.finish()]);
+
+        useTextureA = !useTextureA;
+        recordTimeline(true);
+    }
+
+    // Reads the current cells and trails back to the CPU
+    async function readState() {
+        // Rows in a texture-to-buffer copy must be 256-byte aligned
+        const bytesPerRow = Math.ceil(gridWidth * 4 / 256) * 256;
+        const planeSize = bytesPerRow * gridHeight;
+        const readBuffer = device.createBuffer({
+            size: planeSize * 2,
+            usage: GPUBufferUsage.COPY_DST | GPUBufferUsage.MAP_READ,
+        });
+
+        const commandEncoder = device.createCommandEncoder();
+        commandEncoder.copyTextureToBuffer(
+            { texture: useTextureA ? textureA : textureB },
+            { buffer: readBuffer, bytesPerRow },
+            [gridWidth, gridHeight]
+        );
+        commandEncoder.copyTextureToBuffer(
+            { texture: useTextureA ? historyTextureB : historyTextureA },
+            { buffer: readBuffer, offset: planeSize, bytesPerRow },
+            [gridWidth, gridHeight]
+        );
+        device.queue.submit([commandEncoder.finish()]);
+
+        const width = gridWidth;
+        const height = gridHeight;
+        await readBuffer.mapAsync(GPUMapMode.READ);
+        const mapped = new Float32Array(readBuffer.getMappedRange());
+        const floatsPerRow = bytesPerRow / 4;
+        const state = new Float32Array(width * height);
+        const history = new Float32Array(width * height);
+        for (let y = 0; y < height; y++) {
+            state.set(mapped.subarray(y * floatsPerRow, y * floatsPerRow + width), y * width);
+            history.set(mapped.subarray(planeSize / 4 + y * floatsPerRow, planeSize / 4 + y * floatsPerRow + width), y * width);
+        }
+        readBuffer.unmap();
+        readBuffer.destroy();
+
+        return { width, height, state, history };
+    }
+
+    // -> { state, history, neighbours } of grid cell (x, y): the cell and
+    // its neighbours are copied out one texel each. neighbours is the live
+    // count the next step will see.
+    async function readCell(x, y) {
+        const cells = neighbourhood(x, y, gridWidth, gridHeight, topology);
+        const texels = [{ x, y }, ...cells.map(c => c.outside === undefined ? c : { x, y })];
+        const readBuffer = device.createBuffer({
+            size: (texels.length + 1) * 4,
+            usage: GPUBufferUsage.COPY_DST | GPUBufferUsage.MAP_READ,
+        });
+
+        const commandEncoder = device.createCommandEncoder();
+        texels.forEach((p, k) => {
+            commandEncoder.copyTextureToBuffer(
+                { texture: useTextureA ? textureA : textureB, origin: [p.x, p.y] },
+                { buffer: readBuffer, offset: k * 4 },
+                [1, 1]
+            );
+        });
+        commandEncoder.copyTextureToBuffer(
+            { texture: useTextureA ? historyTextureB : historyTextureA, origin: [x, y] },
+            { buffer: readBuffer, offset: texels.length * 4 },
+            [1, 1]
+        );
+        device.queue.submit([commandEncoder.finish()]);
+
+        const cellSeed = seed;
+        const cellGeneration = generation;
+        await readBuffer.mapAsync(GPUMapMode.READ);
+        const values = new Float32Array(readBuffer.getMappedRange()).slice();
+        readBuffer.unmap();
+        readBuffer.destroy();
+
+        return {
+            state: values[0],
+            history: values[texels.length],
+            neighbours: liveNeighbours(cells, values.subarray(1), cellSeed, cellGeneration),
+        };
+    }
+
+    // -> { width, height, since, generations, counts }, the layout of activity.js;
+    // all zero while activity isn't being counted
+    async function readActivity() {
+        const width = gridWidth;
+        const height = gridHeight;
+        const since = activitySince;
+        const generations = activityGenerations;
+        const counts = new Uint32Array(width * height * 3);
+        if (!activityEnabled) return { width, height, since, generations, counts };
+
+        const readBuffer = device.createBuffer({
+            size: counts.byteLength,
+            usage: GPUBufferUsage.COPY_DST | GPUBufferUsage.MAP_READ,
+        });
+        const commandEncoder = device.createCommandEncoder();
+        commandEncoder.copyBufferToBuffer(activityBuffer, 0, readBuffer, 0, counts.byteLength);
+        device.queue.submit([commandEncoder.finish()]);
+
+        await readBuffer.mapAsync(GPUMapMode.READ);
+        counts.set(new Uint32Array(readBuffer.getMappedRange()));
+        readBuffer.unmap();
+        readBuffer.destroy();
+        return { width, height, since, generations, counts };
+    }
+
+    // A read buffer for `count` stats samples, or null when MAX_STATS_READS
+    // readbacks are already pending
+    function statsReadBuffer(count) {
+        const size = count * STATS_COUNTERS * 4;
+        const free = statsReadBuffers.filter(b => b.mapState === "unmapped");
+        const fits = free.find(b => b.size >= size);
+        if (fits) return fits;
+
+        if (free.length > 0) {
+            statsReadBuffers.splice(statsReadBuffers.indexOf(free[0]), 1);
+            free[0].destroy();
+        } else if (statsReadBuffers.length >= MAX_STATS_READS) {
+            return null;
+        }
+        const buffer = device.createBuffer({
+            size,
+            usage: GPUBufferUsage.COPY_DST | GPUBufferUsage.MAP_READ,
+        });
+        statsReadBuffers.push(buffer);
+        return buffer;
+    }
+
+    function ensureSimStagingCapacity(byteLength) {
+        if (byteLength <= simStagingBuffer.size) return;
+
+        let size = simStagingBuffer.size;
+        while (size < byteLength) size *= 2;
+
+        simStagingBuffer.destroy();
+        simStagingBuffer = device.createBuffer({
+            size,
+            usage: GPUBufferUsage.COPY_SRC | GPUBufferUsage.COPY_DST,
+        });
+    }
+
+    // Advances `steps` generations (0 just redraws) in one command encoder,
+    // then renders. sampleAt(generation), when given, picks the new
+    // generations whose population statistics are read back.
+    // Returns { timings, stats, work }:
+    //   timings: promise of pass timings when profiling and the query readback is free
+    //   stats: promise of the samples, oldest first; null when the readbacks are falling behind
+    //   work: promise of the milliseconds until the GPU finished the batch
+    function frame(steps, profile, sampleAt = null) {
+        // Skip the queries while the previous readback is still mapped
+        const timed = profile && canProfile && queryResultBuffer.mapState === 'unmapped';
+        const commandEncoder = device.createCommandEncoder();
+        const submitted = performance.now();
+
+        const sampled = [];
+        if (sampleAt) {
+            for (let i = 1; i <= steps; i++) {
+                if (sampleAt(generation + i)) sampled.push((generation + i) >>> 0);
+            }
+        }
+        const readBuffer = sampled.length > 0 ? statsReadBuffer(sampled.length) : null;
+
+        if (steps > 0) {
+            // Chaos draws are keyed by the generation being computed
+            const simValues = new Uint32Array(steps * 4);
+            for (let i = 0; i < steps; i++) {
+                simValues[i * 4] = seed;
+                simValues[i * 4 + 1] = generation + i;
+            }
+            ensureSimStagingCapacity(simValues.byteLength);
+            device.queue.writeBuffer(simStagingBuffer, 0, simValues);
+        }
+
+        let sampleIndex = 0;
+        for (let i = 0; i < steps; i++) {
+            commandEncoder.copyBufferToBuffer(simStagingBuffer, i * 16, simBuffer, 0, 16);
+            generation = (generation + 1) >>> 0;
+
+            // 1. Compute Pass
+            const computePassDescriptor = {};
+
+            if (timed && i === 0) {
+                computePassDescriptor.timestampWrites = {
+                    querySet: querySet,
+                    beginningOfPassWriteIndex: 0,
+                };
+            }
+
+            const computePass = commandEncoder.beginComputePass(computePassDescriptor);
+            computePass.setPipeline(computePipeline);
+            computePass.setBindGroup(0, useTextureA ? computeBindGroupA : computeBindGroupB);
+            computePass.dispatchWorkgroups(Math.ceil(gridWidth / WORKGROUP_SIZE), Math.ceil(gridHeight / WORKGROUP_SIZE));
+            computePass.end();
+
+            // 2. History Pass
+            const historyPassDescriptor = {};
+
+            if (timed && i === steps - 1) {
+                historyPassDescriptor.timestampWrites = {
+                    querySet: querySet,
+                    endOfPassWriteIndex: 1,
+                };
+            }
+
+            const historyPass = commandEncoder.beginComputePass(historyPassDescriptor);
+            historyPass.setPipeline(historyPipeline);
+            historyPass.setBindGroup(0, useTextureA ? historyBindGroupB : historyBindGroupA);
+            historyPass.dispatchWorkgroups(Math.ceil(gridWidth / WORKGROUP_SIZE), Math.ceil(gridHeight / WORKGROUP_SIZE));
+            historyPass.end();
+
+            useTextureA = !useTextureA;
+            // Earlier steps would only be overwritten within this batch
+            if (i >= steps - timelineCapacity) recordTimeline(false, commandEncoder);
+
+            // 3. Stats of this generation against the one before it
+            if (readBuffer && sampled[sampleIndex] === generation) {
+                commandEncoder.copyBufferToBuffer(statsResetBuffer, 0, statsCounterBuffer, 0, STATS_COUNTERS * 4);
+                const statsPass = commandEncoder.beginComputePass();
+                statsPass.setPipeline(statsPipeline);
+                statsPass.setBindGroup(0, useTextureA ? statsBindGroupA : statsBindGroupB);
+                statsPass.dispatchWorkgroups(Math.ceil(gridWidth / WORKGROUP_SIZE), Math.ceil(gridHeight / WORKGROUP_SIZE));
+                statsPass.end();
+                commandEncoder.copyBufferToBuffer(statsCounterBuffer, 0, readBuffer, sampleIndex * STATS_COUNTERS * 4, STATS_COUNTERS * 4);
+                sampleIndex++;
+            }
+
+            // 4. Activity counts, against the same generation before
+            if (activityEnabled && generation > activitySince) {
+                const activityPass = commandEncoder.beginComputePass();
+                activityPass.setPipeline(activityPipeline);
+                activityPass.setBindGroup(0, useTextureA ? activityBindGroupA : activityBindGroupB);
+                activityPass.dispatchWorkgroups(Math.ceil(gridWidth / WORKGROUP_SIZE), Math.ceil(gridHeight / WORKGROUP_SIZE));
+                activityPass.end();
+                activityGenerations++;
+            }
+        }
+
+        if (heatmap.visible && steps > 0) writeHeatmapUniforms();
+
+        const textureView = context.getCurrentTexture().createView();
+        const renderPassDescriptor = {
+            colorAttachments: [{
+                view: textureView,
+                clearValue: { r: 0.0, g: 0.0, b: 0.0, a: 1 },
+                loadOp: "clear",
+                storeOp: "store",
+            }],
+        };
+
+        if (timed) {
+            renderPassDescriptor.timestampWrites = {
+                querySet: querySet,
+                beginningOfPassWriteIndex: 2,
+                endOfPassWriteIndex: 3,
+            };
+        }
+
+        const renderPass = commandEncoder.beginRenderPass(renderPassDescriptor);
+        renderPass.setPipeline(renderPipeline);
+        renderPass.setBindGroup(0, useTextureA ? renderBindGroupA : renderBindGroupB);
+        renderPass.draw(6);
+        renderPass.end();
+
+        if (timed) {
+            commandEncoder.resolveQuerySet(querySet, 0, 4, queryResolveBuffer, 0);
+            commandEncoder.copyBufferToBuffer(queryResolveBuffer, 0, queryResultBuffer, 0, 32);
+        }
+
+        device.queue.submit([commandEncoder.finish()]);
+
+        let stats = Promise.resolve([]);
+        if (sampled.length > 0) {
+            stats = readBuffer && readBuffer.mapAsync(GPUMapMode.READ).then(() => {
+                const counters = new Uint32Array(readBuffer.getMappedRange());
+                const samples = sampled.map((g, k) =>
+                    statsFromCounters(counters.subarray(k * STATS_COUNTERS, (k + 1) * STATS_COUNTERS), g));
+                readBuffer.unmap();
+                return samples;
+            });
+        }
+
+        const work = device.queue.onSubmittedWorkDone().then(() => performance.now() - submitted);
+
+        let timings = null;
+        if (timed) {
+            timings = queryResultBuffer.mapAsync(GPUMapMode.READ).then(() => {
+                const times = new BigInt64Array(queryResultBuffer.getMappedRange());
+
+                let computeTime = 0;
+                if (steps > 0) {
+                    computeTime = Number(times[1] - times[0]) / 1000000;
+                }
+                const renderTime = Number(times[3] - times[2]) / 1000000;
+
+                queryResultBuffer.unmap();
+                return { computeTime, renderTime };
+            });
+        }
+
+        return { timings, stats, work };
+    }
+
+    return {
+        kind: "webgpu",
+        maxGridSize: device.limits.maxTextureDimension2D,
+        resize,
+        upload,
+        stamp,
+        frame,
+        readState,
+        readCell,
+        readActivity,
+        setActivity,
+        setHeatmap(visible, metric, logScale) {
+            heatmap = { visible, metric, logScale };
+            writeHeatmapUniforms();
+        },
+        setRule(rule) {
+            device.queue.writeBuffer(ruleBuffer, 0, new Uint32Array([rule.birth, rule.survival, 0, 0]));
+        },
+        setTopology(mode) {
+            topology = mode;
+            device.queue.writeBuffer(topologyBuffer, 0, new Uint32Array([mode, 0, 0, 0]));
+        },
+        setHistory(decay, isActive) {
+            device.queue.writeBuffer(historyUniformBuffer, 0, new Float32Array([decay, isActive ? 1.0 : 0.0, 0.0, 0.0]));
+        },
+        setSeed(value) {
+            seed = value >>> 0;
+        },
+        setTimelineCapacity(capacity) {
+            destroyTimeline();
+            timelineCapacity = capacity;
+            if (textureA) recordTimeline(false);
+        },
+        get timelineLength() { return timelineCount; },
+        restoreTimeline,
+        truncateTimeline,
+        setPalette(data) {
+            device.queue.writeBuffer(paletteBuffer, 0, data);
+        },
+        setView(panX, panY, zoom, fitX = 1.0, fitY = 1.0) {
+            device.queue.writeBuffer(viewUniformBuffer, 0, new Float32Array([panX, panY, zoom, 0.0, fitX, fitY, 0.0, 0.0]));
+        },
+    };
+}
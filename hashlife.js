@@ -0,0 +1,334 @@
+// HashLife: Gosper's algorithm on a hash-consed quadtree. Every node is
+// unique, and remembers where its centre ends up 2^j generations later, so
+// repetitive boards can be advanced millions of generations in one call.
+//
+// Only deterministic boards qualify: no states that count by chance or by
+// the generation, like chaos. Immutable cells are kept as fixed leaves. The bounded edges are
+// emulated with a frame of fixed cells around the board; a torus is tiled,
+// which needs both sides to be powers of two.
+
+import { CELL_STATES, COUNTS_ALWAYS, COUNTS_NEVER, STATE_TABLE, stateId, stateIndex } from "./states.js";
+import { TOPOLOGIES, TOPOLOGY_ALIVE, TOPOLOGY_DEAD, TOPOLOGY_TORUS } from "./topology.js";
+
+// Past this many nodes the memo is dropped and the live tree re-interned
+const MAX_NODES = 1 << 20;
+
+// The fixed cells framing a bounded board
+const ALWAYS_DEAD = stateId("alwaysDead");
+const ALWAYS_ALIVE = stateId("alwaysAlive");
+
+function isPowerOfTwo(n) {
+    return n > 0 && (n & (n - 1)) === 0;
+}
+
+function levelFor(size) {
+    let level = 0;
+    while ((1 << level) < size) level++;
+    return level;
+}
+
+// Why the board can't be run with HashLife, or null when it can
+export function hashLifeProblem(state, width, height, topology, rule) {
+    for (let i = 0; i < state.length; i++) {
+        const s = stateIndex(state[i]);
+        if (STATE_TABLE[s].counts !== COUNTS_NEVER && STATE_TABLE[s].counts !== COUNTS_ALWAYS) {
+            return `HashLife needs a deterministic board: remove the ${CELL_STATES[s].label.toLowerCase()} cells first.`;
+        }
+    }
+    if (topology === TOPOLOGY_TORUS) {
+        if (!isPowerOfTwo(width) || !isPowerOfTwo(height)) {
+            return `HashLife runs a torus only when both sides are powers of two, this grid is ${width}x${height}.`;
+        }
+        return null;
+    }
+    if (topology === TOPOLOGY_DEAD || topology === TOPOLOGY_ALIVE) {
+        // The board sits in an infinite empty plane, which B0 would fill
+        if (rule.birth & 1) {
+            return `HashLife can't run a B0 rule (${rule.rulestring}) inside a bounded edge.`;
+        }
+        return null;
+    }
+    return `HashLife doesn't support the ${TOPOLOGIES[topology].name} topology.`;
+}
+
+// Universe for one rule. step() takes a board and returns it `generations`
+// later; the memo carries over between calls, so repeated jumps on a
+// similar board get faster.
+export function createHashLife(rule) {
+    let table = new Map(); // "nw,ne,sw,se" ids -> node
+    let nextId = 0;
+    let emptyNodes = [];
+    let collections = 0; // bumped by collect(), node identities change
+
+    // Level 0 nodes are single cells, indexed by state
+    const leaves = CELL_STATES.map((_, state) => ({ level: 0, id: nextId++, state, empty: state === 0 }));
+
+    function join(nw, ne, sw, se) {
+        const key = `${nw.id},${ne.id},${sw.id},${se.id}`;
+        let node = table.get(key);
+        if (!node) {
+            node = {
+                level: nw.level + 1,
+                id: nextId++,
+                nw, ne, sw, se,
+                empty: nw.empty && ne.empty && sw.empty && se.empty,
+                results: null, // j -> centre after 2^j generations
+            };
+            table.set(key, node);
+        }
+        return node;
+    }
+
+    function empty(level) {
+        if (!emptyNodes[level]) {
+            const child = level === 0 ? null : empty(level - 1);
+            emptyNodes[level] = level === 0 ? leaves[0] : join(child, child, child, child);
+        }
+        return emptyNodes[level];
+    }
+
+    // Rebuilds the table from the given roots only, dropping every memo
+    function collect(roots) {
+        collections++;
+        table = new Map();
+        emptyNodes = [];
+        const moved = new Map();
+        function reintern(node) {
+            if (node.level === 0) return node;
+            let copy = moved.get(node);
+            if (!copy) {
+                copy = join(reintern(node.nw), reintern(node.ne), reintern(node.sw), reintern(node.se));
+                moved.set(node, copy);
+            }
+            return copy;
+        }
+        return roots.map(reintern);
+    }
+
+    // computeMain's rule for one cell
+    function nextState(state, neighbours) {
+        if (!STATE_TABLE[state].mutable) return state;
+        const mask = STATE_TABLE[state].counts === COUNTS_ALWAYS ? rule.survival : rule.birth;
+        return (mask >> neighbours) & 1;
+    }
+
+    // Level 2 (4x4) -> its centre 2x2 one generation on
+    function baseStep(node) {
+        const rows = [
+            [node.nw.nw, node.nw.ne, node.ne.nw, node.ne.ne],
+            [node.nw.sw, node.nw.se, node.ne.sw, node.ne.se],
+            [node.sw.nw, node.sw.ne, node.se.nw, node.se.ne],
+            [node.sw.sw, node.sw.se, node.se.sw, node.se.se],
+        ].map(row => row.map(leaf => leaf.state));
+
+        const next = [];
+        for (let y = 1; y <= 2; y++) {
+            for (let x = 1; x <= 2; x++) {
+                let neighbours = 0;
+                for (let j = -1; j <= 1; j++) {
+                    for (let i = -1; i <= 1; i++) {
+                        if (i === 0 && j === 0) continue;
+                        if (STATE_TABLE[rows[y + j][x + i]].counts === COUNTS_ALWAYS) neighbours++;
+                    }
+                }
+                next.push(leaves[nextState(rows[y][x], neighbours)]);
+            }
+        }
+        return join(next[0], next[1], next[2], next[3]);
+    }
+
+    function centre(node) {
+        return join(node.nw.se, node.ne.sw, node.sw.ne, node.se.nw);
+    }
+
+    // Centre half of a level L node after 2^j generations, 0 <= j <= L - 2
+    function advance(node, j) {
+        if (node.results?.has(j)) return node.results.get(j);
+
+        let result;
+        if (node.level === 2) {
+            result = baseStep(node);
+        } else {
+            const { nw, ne, sw, se } = node;
+            const parts = [
+                nw,
+                join(nw.ne, ne.nw, nw.se, ne.sw),
+                ne,
+                join(nw.sw, nw.se, sw.nw, sw.ne),
+                join(nw.se, ne.sw, sw.ne, se.nw),
+                join(ne.sw, ne.se, se.nw, se.ne),
+                sw,
+                join(sw.ne, se.nw, sw.se, se.sw),
+                se,
+            ];
+            // A full-size step spends half its time on each of two levels;
+            // a shorter one only crops the first level
+            const full = j === node.level - 2;
+            const r = parts.map(p => full ? advance(p, j - 1) : centre(p));
+            const jj = full ? j - 1 : j;
+            result = join(
+                advance(join(r[0], r[1], r[3], r[4]), jj),
+                advance(join(r[1], r[2], r[4], r[5]), jj),
+                advance(join(r[3], r[4], r[6], r[7]), jj),
+                advance(join(r[4], r[5], r[7], r[8]), jj)
+            );
+        }
+
+        if (!node.results) node.results = new Map();
+        node.results.set(j, result);
+        return result;
+    }
+
+    // Square tree of size 2^level with its top-left cell at (x0, y0)
+    function build(cellAt, x0, y0, level, inside) {
+        if (!inside(x0, y0, 1 << level)) return empty(level);
+        if (level === 0) return leaves[cellAt(x0, y0)];
+        const half = 1 << (level - 1);
+        return join(
+            build(cellAt, x0, y0, level - 1, inside),
+            build(cellAt, x0 + half, y0, level - 1, inside),
+            build(cellAt, x0, y0 + half, level - 1, inside),
+            build(cellAt, x0 + half, y0 + half, level - 1, inside)
+        );
+    }
+
+    // Writes the cells of `node` (top-left at x0, y0) that land on the board
+    function read(node, x0, y0, out, width, height) {
+        const size = 2 ** node.level;
+        if (node.empty || x0 >= width || y0 >= height || x0 + size <= 0 || y0 + size <= 0) return;
+        if (node.level === 0) {
+            out[y0 * width + x0] = node.state;
+            return;
+        }
+        const half = size / 2;
+        read(node.nw, x0, y0, out, width, height);
+        read(node.ne, x0 + half, y0, out, width, height);
+        read(node.sw, x0, y0 + half, out, width, height);
+        read(node.se, x0 + half, y0 + half, out, width, height);
+    }
+
+    // Set bits of n, lowest first (n may exceed 32 bits)
+    function bits(n) {
+        const out = [];
+        for (let j = 0; n > 0; j++) {
+            if (n % 2 === 1) out.push(j);
+            n = Math.floor(n / 2);
+        }
+        return out;
+    }
+
+    // The board in an empty plane, inside a frame of fixed cells: always
+    // dead for a dead edge, always alive then always dead for an alive one
+    // (the outer ring keeps the plane beyond it from being born).
+    // Yields between jumps; returns the board.
+    function* stepBounded(state, width, height, topology, generations) {
+        const frame = topology === TOPOLOGY_ALIVE ? 2 : 1;
+        const cellAt = (x, y) => {
+            if (x >= 0 && y >= 0 && x < width && y < height) return stateIndex(state[y * width + x]);
+            const ring = Math.max(-x, -y, x - width + 1, y - height + 1);
+            return topology === TOPOLOGY_ALIVE && ring === 1 ? ALWAYS_ALIVE : ALWAYS_DEAD;
+        };
+        const right = width + frame;
+        const bottom = height + frame;
+        const inside = (x, y, size) => x < right && y < bottom && x + size > -frame && y + size > -frame;
+
+        const baseLevel = Math.max(levelFor(Math.max(width, height) + 2 * frame), 2);
+        let root = build(cellAt, -frame, -frame, baseLevel, inside);
+
+        // Growing and advancing both keep the root centred where it started
+        for (const j of bits(generations)) {
+            const level = Math.max(baseLevel + 1, j + 2);
+            while (root.level < level) {
+                const e = empty(root.level - 1);
+                root = join(join(e, e, e, root.nw), join(e, e, root.ne, e), join(e, root.sw, e, e), join(root.se, e, e, e));
+            }
+            root = advance(root, j);
+            while (root.level > baseLevel) root = centre(root);
+
+            if (table.size > MAX_NODES) [root] = collect([root]);
+            yield;
+        }
+
+        const out = new Float32Array(width * height);
+        read(root, -frame, -frame, out, width, height);
+        return out;
+    }
+
+    // A torus of side S = 2^n tiles the plane, so the centre of four copies
+    // after at most 2^(n-1) generations is the next torus, rolled by S / 2.
+    // Rectangles are tiled up to a square first. Yields between jumps like
+    // stepBounded.
+    function* stepTorus(state, width, height, generations) {
+        const side = Math.max(width, height, 2);
+        const level = levelFor(side);
+        const cellAt = (x, y) => stateIndex(state[(y % height) * width + (x % width)]);
+        let root = build(cellAt, 0, 0, level, () => true);
+
+        function stepBy(j) {
+            const r = advance(join(root, root, root, root), j);
+            root = join(r.se, r.sw, r.ne, r.nw);
+            if (table.size > MAX_NODES) [root] = collect([root]);
+        }
+
+        const big = level - 1;
+        const bigSteps = Math.floor(generations / 2 ** big);
+        for (const j of bits(generations % 2 ** big)) {
+            stepBy(j);
+            yield;
+        }
+
+        // Long runs on a finite torus end up cycling: skip the repeats
+        let seen = new Map();
+        for (let i = 0; i < bigSteps; i++) {
+            const before = collections;
+            const first = seen.get(root);
+            if (first !== undefined) {
+                i += Math.floor((bigSteps - i) / (i - first)) * (i - first);
+                seen = new Map();
+                if (i >= bigSteps) break;
+            } else {
+                seen.set(root, i);
+            }
+            stepBy(big);
+            if (collections !== before) seen = new Map();
+            yield;
+        }
+
+        const out = new Float32Array(width * height);
+        read(root, 0, 0, out, width, height);
+        return out;
+    }
+
+    function jumps(state, width, height, topology, generations) {
+        if (topology === TOPOLOGY_TORUS) return stepTorus(state, width, height, generations);
+        return stepBounded(state, width, height, topology, generations);
+    }
+
+    return {
+        rule,
+        step(state, width, height, topology, generations) {
+            const run = jumps(state, width, height, topology, generations);
+            let next = run.next();
+            while (!next.done) next = run.next();
+            return next.value;
+        },
+        // step() in slices of about sliceMs with a task break between them,
+        // so the page keeps drawing through a long jump. Resolves to null,
+        // leaving the memo intact, once shouldStop() returns true.
+        async stepInSlices(state, width, height, topology, generations, shouldStop, sliceMs = 12) {
+            const run = jumps(state, width, height, topology, generations);
+            let sliceStart = performance.now();
+            let next = run.next();
+            while (!next.done) {
+                if (performance.now() - sliceStart > sliceMs) {
+                    await new Promise(resolve => setTimeout(resolve, 0));
+                    if (shouldStop()) return null;
+                    sliceStart = performance.now();
+                }
+                next = run.next();
+            }
+            return next.value;
+        },
+        get nodeCount() { return table.size; },
+    };
+}
@@ -0,0 +1,136 @@
+// Board initializers behind the Random Soup, Cross, Dot and Yin-Yang buttons.
+// Each returns a Float32Array of cell states, row-major, width * height.
+
+import { STATE_ALIVE, STATE_DEAD, stateId } from "./states.js";
+
+const CHAOS = stateId("chaos");
+const ALWAYS_DEAD = stateId("alwaysDead");
+const ALWAYS_ALIVE = stateId("alwaysAlive");
+
+export function blank(width, height) {
+    return new Float32Array(width * height);
+}
+
+export function randomSoup(width, height, density = 0.5, random = Math.random) {
+    const data = new Float32Array(width * height);
+    for (let i = 0; i < width * height; i++) {
+        data[i] = random() < density ? STATE_ALIVE : STATE_DEAD;
+    }
+    return data;
+}
+
+// Chaos lines through the middle row and column
+export function cross(width, height) {
+    const data = new Float32Array(width * height);
+    const midX = Math.floor(width / 2);
+    const midY = Math.floor(height / 2);
+    for (let x = 0; x < width; x++) {
+        data[midY * width + x] = CHAOS;
+    }
+    for (let y = 0; y < height; y++) {
+        data[y * width + midX] = CHAOS;
+    }
+    return data;
+}
+
+// 5x5 chaos square in the centre, clipped on grids smaller than that
+export function dot(width, height) {
+    const data = new Float32Array(width * height);
+    const midX = Math.floor(width / 2);
+    const midY = Math.floor(height / 2);
+    const r = 2;
+    for (let y = Math.max(midY - r, 0); y <= Math.min(midY + r, height - 1); y++) {
+        for (let x = Math.max(midX - r, 0); x <= Math.min(midX + r, width - 1); x++) {
+            data[y * width + x] = CHAOS;
+        }
+    }
+    return data;
+}
+
+// Alive/dead halves with always-alive/always-dead eyes, inside a chaos ring
+export function yinYang(width, height) {
+    const data = new Float32Array(width * height);
+    const midX = width / 2;
+    const midY = height / 2;
+    const R = Math.min(width, height) / 3;
+    const r_dot = R / 5;
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const dx = x - midX;
+            const dy = y - midY;
+            const dist = Math.sqrt(dx * dx + dy * dy);
+
+            if (dist > R) {
+                data[y * width + x] = CHAOS;
+                continue;
+            }
+
+            const d_top = Math.sqrt(dx * dx + (dy + R / 2) ** 2);
+            const d_bot = Math.sqrt(dx * dx + (dy - R / 2) ** 2);
+
+            if (d_top < r_dot) {
+                data[y * width + x] = ALWAYS_ALIVE;
+            } else if (d_bot < r_dot) {
+                data[y * width + x] = ALWAYS_DEAD;
+            }
+            else if (d_top < R / 2) {
+                data[y * width + x] = STATE_DEAD;
+            } else if (d_bot < R / 2) {
+                data[y * width + x] = STATE_ALIVE;
+            }
+            else if (dx > 0) {
+                data[y * width + x] = STATE_ALIVE;
+            } else {
+                data[y * width + x] = STATE_DEAD;
+            }
+        }
+    }
+    return data;
+}
+
+// --- Initializer specs ---
+// "soup:0.3", "cross", "dot", "yinyang", "blank", as used by the command
+// line and permalinks.
+
+export function parseInitializer(spec) {
+    const [rawName, arg] = String(spec).split(":");
+    const name = rawName.toLowerCase();
+    switch (name) {
+        case "soup": {
+            const density = arg === undefined ? 0.5 : Number(arg);
+            if (!(density >= 0 && density <= 1)) {
+                throw new Error(`Soup density must be between 0 and 1, got "${arg}".`);
+            }
+            return { name, density };
+        }
+        case "cross":
+        case "dot":
+        case "blank":
+            return { name };
+        case "yinyang":
+        case "yin-yang":
+            return { name: "yinyang" };
+        default:
+            throw new Error(`Unknown initializer "${spec}".`);
+    }
+}
+
+export function formatInitializer(init) {
+    return init.name === "soup" ? `soup:${init.density}` : init.name;
+}
+
+export function createInitialState(init, width, height, random = Math.random) {
+    switch (init.name) {
+        case "soup":
+            return randomSoup(width, height, init.density, random);
+        case "cross":
+            return cross(width, height);
+        case "dot":
+            return dot(width, height);
+        case "yinyang":
+            return yinYang(width, height);
+        default:
+            return blank(width, height);
+    }
+}
@@ -0,0 +1,34 @@
+// Cell inspector: the neighbourhood computeMain sees around one cell. The
+// engines read the states of the cells neighbourhood() lists and pass them
+// to liveNeighbours(), so the count is the one the next step will use.
+
+import { neighbourValue, stateIndex } from "./states.js";
+import { neighborCell } from "./topology.js";
+
+// The 8 neighbours of grid cell (x, y) in computeMain's order: { x, y } for
+// a grid cell or { outside: 0 | 1 } past a bounded edge, plus the direction
+// chance draws are made for
+export function neighbourhood(x, y, width, height, topology) {
+    const cells = [];
+    for (let i = -1; i <= 1; i++) {
+        for (let j = -1; j <= 1; j++) {
+            if (i === 0 && j === 0) continue;
+            cells.push({ ...neighborCell(x + i, y + j, width, height, topology), direction: (i + 1) * 3 + (j + 1) });
+        }
+    }
+    return cells;
+}
+
+// states[k] is the state of cells[k] (ignored for outside cells). States
+// that count by chance draw for the generation about to be computed.
+export function liveNeighbours(cells, states, seed, generation) {
+    let count = 0;
+    cells.forEach((cell, k) => {
+        if (cell.outside !== undefined) {
+            count += cell.outside;
+            return;
+        }
+        count += neighbourValue(stateIndex(states[k]), seed, generation, cell.x, cell.y, cell.direction);
+    });
+    return count;
+}
@@ -1,258 +1,60 @@
-let gridSize = 256;
-const WORKGROUP_SIZE = 16;
+import { DEFAULT_RULE, RULE_PRESETS, parseRule } from "./rules.js";
+import { TOPOLOGIES, TOPOLOGY_ALIVE, TOPOLOGY_DEAD, TOPOLOGY_KLEIN, TOPOLOGY_MIRROR, TOPOLOGY_PROJECTIVE, TOPOLOGY_TORUS, topologyIndex, wrapCell } from "./topology.js";
+import { DEFAULT_PALETTE, PALETTE_SLOTS, colorizeCells, hexToRgb, paletteToFloats } from "./palette.js";
+import { createGpuEngine } from "./gpu-engine.js";
+import { createCpuEngine } from "./cpu-engine.js";
+import { createInitialState, formatInitializer, parseInitializer } from "./initializers.js";
+import { createRandom, parseSeed, randomSeed } from "./random.js";
+import { PATTERN_FORMATS, encodePattern, parsePattern } from "./pattern-io.js";
+import { decodeSnapshot, encodeSnapshot } from "./snapshot.js";
+import { compactBoard, decodePermalink, encodePermalink, expandBoard } from "./permalink.js";
+import { DEFAULT_UNDO_BUDGET_MB, createUndoHistory } from "./undo.js";
+import { PAINT_TOOLS, RESIZE_ANCHORS, STAMP_MODES, STAMP_MODE_AS_STATE, STAMP_MODE_OVERWRITE, STAMP_MODE_PAINT, STAMP_MODE_TOGGLE, copyRegion, createCellSet, cropBoard, ellipseCells, floodFillCells, lineCells, paintPattern, rectCells, resizePlane, selectionRect, thicken, transformPattern } from "./paint-tools.js";
+import { loadCustomStamps, saveCustomStamps } from "./custom-stamps.js";
+import { density, drawPopulationChart, statsToCsv } from "./population.js";
+import { CELL_STATES, STATE_ALIVE, STATE_DEAD, STATE_LABELS, stateId } from "./states.js";
+import { SETTLE_WINDOW, createSettleDetector, describeSettle } from "./settle.js";
+import { buildCensusLibrary, takeCensus } from "./census.js";
+import { createGifEncoder } from "./gif.js";
+import { createHashLife, hashLifeProblem } from "./hashlife.js";
+import { ACTIVITY_METRICS, activityToBinary, activityToCsv, heatmapImage } from "./activity.js";
+
+let gridWidth = 256;
+let gridHeight = 256;
 
 async function init() {
-    if (!navigator.gpu) {
-        alert("WebGPU not supported on this browser.");
-        return;
-    }
-
-    const adapter = await navigator.gpu.requestAdapter();
-    if (!adapter) {
-        alert("No appropriate GPUAdapter found.");
-        return;
-    }
-
-    const requiredFeatures = [];
-    if (adapter.features.has('timestamp-query')) {
-        requiredFeatures.push('timestamp-query');
-    }
-
-    const device = await adapter.requestDevice({
-        requiredFeatures: requiredFeatures
-    });
-
     const canvas = document.getElementById("gpuCanvas");
-    const context = canvas.getContext("webgpu");
-    const presentationFormat = navigator.gpu.getPreferredCanvasFormat();
-
-    context.configure({
-        device: device,
-        format: presentationFormat,
-        alphaMode: "premultiplied",
-    });
-
-    // --- Profiling Setup ---
-    const canProfile = device.features.has('timestamp-query');
-    let querySet;
-    let queryResolveBuffer;
-    let queryResultBuffer;
-
-    if (canProfile) {
-        querySet = device.createQuerySet({
-            type: "timestamp",
-            count: 4,
-        });
-
-        queryResolveBuffer = device.createBuffer({
-            size: 4 * 8,
-            usage: GPUBufferUsage.QUERY_RESOLVE | GPUBufferUsage.COPY_SRC,
-        });
-
-        queryResultBuffer = device.createBuffer({
-            size: 4 * 8,
-            usage: GPUBufferUsage.COPY_DST | GPUBufferUsage.MAP_READ,
-        });
+    const engineLabel = document.getElementById("engineLabel");
+
+    let engine;
+    try {
+        engine = await createGpuEngine(canvas);
+    } catch (err) {
+        // No WebGPU (e.g. Linux Firefox, headless CI): run the same rules on the CPU
+        engine = createCpuEngine(canvas);
+        engineLabel.textContent = "Cellular Automata (CPU fallback)";
+        engineLabel.title = err.message;
     }
 
-    const shaderModule = device.createShaderModule({
-        label: "Cellular Automata Shaders",
-        code: await (await fetch("./shaders.wgsl")).text(),
-    });
-
-    // --- Pipelines ---
-    const computePipeline = device.createComputePipeline({
-        label: "Compute Pipeline",
-        layout: "auto",
-        compute: {
-            module: shaderModule,
-            entryPoint: "computeMain",
-        },
-    });
-
-    const renderPipeline = device.createRenderPipeline({
-        label: "Render Pipeline",
-        layout: "auto",
-        vertex: {
-            module: shaderModule,
-            entryPoint: "vertexMain",
-        },
-        fragment: {
-            module: shaderModule,
-            entryPoint: "fragmentMain",
-            targets: [{ format: presentationFormat }],
-        },
-        primitive: {
-            topology: "triangle-list",
-        },
-    });
-
-    const historyPipeline = device.createComputePipeline({
-        label: "History Pipeline",
-        layout: "auto",
-        compute: {
-            module: shaderModule,
-            entryPoint: "historyMain",
-        },
-    });
-
-    const stampPipeline = device.createComputePipeline({
-        label: "Stamp Pipeline",
-        layout: "auto",
-        compute: {
-            module: shaderModule,
-            entryPoint: "stampMain",
-        },
-    });
-
-    // --- Buffers (Size Independent) ---
-    const timeBuffer = device.createBuffer({
-        size: 4,
-        usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
-    });
-
-    const paletteBufferSize = 96;
-    const paletteBuffer = device.createBuffer({
-        size: paletteBufferSize,
-        usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
-    });
-
-    const viewUniformBuffer = device.createBuffer({
-        size: 16,
-        usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
-    });
-
-    const historyUniformBuffer = device.createBuffer({
-        size: 16,
-        usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
-    });
-
-    const stampUniformBuffer = device.createBuffer({
-        size: 16,
-        usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
-    });
-
-    const patternDataBuffer = device.createBuffer({
-        size: 1024,
-        usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST,
-    });
-
-    // --- Dynamic Resources ---
-    let textureA, textureB;
-    let historyTextureA, historyTextureB;
-    let computeBindGroupA, computeBindGroupB;
-    let historyBindGroupA, historyBindGroupB;
-    let renderBindGroupA, renderBindGroupB;
-    let stampBindGroupA, stampBindGroupB;
-
-    function initSimulationResources(size) {
-        gridSize = size;
-
-        if (textureA) textureA.destroy();
-        if (textureB) textureB.destroy();
-        if (historyTextureA) historyTextureA.destroy();
-        if (historyTextureB) historyTextureB.destroy();
-
-        const textureDesc = {
-            size: [gridSize, gridSize],
-            format: "r32float",
-            usage: GPUTextureUsage.TEXTURE_BINDING |
-                GPUTextureUsage.STORAGE_BINDING |
-                GPUTextureUsage.COPY_DST |
-                GPUTextureUsage.COPY_SRC,
-        };
-
-        textureA = device.createTexture(textureDesc);
-        textureB = device.createTexture(textureDesc);
-        historyTextureA = device.createTexture(textureDesc);
-        historyTextureB = device.createTexture(textureDesc);
-
-        // --- Bind Groups ---
-        computeBindGroupA = device.createBindGroup({
-            layout: computePipeline.getBindGroupLayout(0),
-            entries: [
-                { binding: 1, resource: textureA.createView() },
-                { binding: 2, resource: textureB.createView() },
-                { binding: 3, resource: { buffer: timeBuffer } },
-            ],
-        });
-
-        computeBindGroupB = device.createBindGroup({
-            layout: computePipeline.getBindGroupLayout(0),
-            entries: [
-                { binding: 1, resource: textureB.createView() },
-                { binding: 2, resource: textureA.createView() },
-                { binding: 3, resource: { buffer: timeBuffer } },
-            ],
-        });
-
-        historyBindGroupA = device.createBindGroup({
-            layout: historyPipeline.getBindGroupLayout(0),
-            entries: [
-                { binding: 1, resource: textureA.createView() },
-                { binding: 7, resource: { buffer: historyUniformBuffer } },
-                { binding: 8, resource: historyTextureA.createView() },
-                { binding: 9, resource: historyTextureB.createView() },
-            ],
-        });
-
-        historyBindGroupB = device.createBindGroup({
-            layout: historyPipeline.getBindGroupLayout(0),
-            entries: [
-                { binding: 1, resource: textureB.createView() },
-                { binding: 7, resource: { buffer: historyUniformBuffer } },
-                { binding: 8, resource: historyTextureB.createView() },
-                { binding: 9, resource: historyTextureA.createView() },
-            ],
-        });
-
-        renderBindGroupA = device.createBindGroup({
-            layout: renderPipeline.getBindGroupLayout(0),
-            entries: [
-                { binding: 0, resource: { buffer: paletteBuffer } },
-                { binding: 3, resource: textureA.createView() },
-                { binding: 6, resource: { buffer: viewUniformBuffer } },
-                { binding: 8, resource: historyTextureA.createView() },
-            ],
-        });
-
-        renderBindGroupB = device.createBindGroup({
-            layout: renderPipeline.getBindGroupLayout(0),
-            entries: [
-                { binding: 0, resource: { buffer: paletteBuffer } },
-                { binding: 3, resource: textureB.createView() },
-                { binding: 6, resource: { buffer: viewUniformBuffer } },
-                { binding: 8, resource: historyTextureB.createView() },
-            ],
-        });
-
-        stampBindGroupA = device.createBindGroup({
-            layout: stampPipeline.getBindGroupLayout(0),
-            entries: [
-                { binding: 1, resource: textureA.createView() },
-                { binding: 2, resource: textureB.createView() },
-                { binding: 4, resource: { buffer: stampUniformBuffer } },
-                { binding: 5, resource: { buffer: patternDataBuffer } },
-            ],
-        });
-
-        stampBindGroupB = device.createBindGroup({
-            layout: stampPipeline.getBindGroupLayout(0),
-            entries: [
-                { binding: 1, resource: textureB.createView() },
-                { binding: 2, resource: textureA.createView() },
-                { binding: 4, resource: { buffer: stampUniformBuffer } },
-                { binding: 5, resource: { buffer: patternDataBuffer } },
-            ],
-        });
+    function initSimulationResources(width, height) {
+        gridWidth = width;
+        gridHeight = height;
+        engine.resize(gridWidth, gridHeight);
+        engine.setTimelineCapacity(timelineCapacity());
+        timelineOffset = 0;
+        updateTimelineUI();
 
         generation = 0;
         genElem.textContent = `Gen: ${generation}`;
-        useTextureA = true;
-
-        const blankData = new Float32Array(gridSize * gridSize);
-        blankData.fill(0.0);
-        uploadData(blankData);
+        discardStaleStats();
+        clearCensus();
+        stopRecording();
+        startInit = { name: "blank" };
+        startBoard = null;
+        setSelection(null);
+        // The engine drops its counts on a resize
+        applyActivity();
+        minimapGeneration = -1;
     }
 
     let zoom = 1.0;
@@ -261,37 +63,54 @@ async function init() {
     let trailsActive = false;
     let decayValue = 0.9;
     let statsEnabled = false;
+    let currentRule = parseRule(DEFAULT_RULE);
+    let topologyMode = TOPOLOGY_TORUS;
+
+    let viewFitMode = "fit";
+    let viewLayersDirty = true; // grid lines and minimap follow the view, redrawn by the frame loop
+
+    // Share of the canvas the whole board covers at zoom 1, per axis. "fit"
+    // letterboxes and "fill" crops to keep cells square; "stretch" fills the
+    // canvas whatever the aspect.
+    function viewFit() {
+        const width = canvas.clientWidth;
+        const height = canvas.clientHeight;
+        if (viewFitMode === "stretch" || width === 0 || height === 0) return { x: 1.0, y: 1.0 };
+
+        const cellWidth = width / gridWidth;
+        const cellHeight = height / gridHeight;
+        const cell = viewFitMode === "fill" ? Math.max(cellWidth, cellHeight) : Math.min(cellWidth, cellHeight);
+        return { x: gridWidth * cell / width, y: gridHeight * cell / height };
+    }
 
     function updateViewUniforms() {
-        device.queue.writeBuffer(viewUniformBuffer, 0, new Float32Array([panX, panY, zoom, 0.0]));
+        const fit = viewFit();
+        engine.setView(panX, panY, zoom, fit.x, fit.y);
+        viewLayersDirty = true;
     }
     updateViewUniforms();
 
     function updateHistoryUniforms() {
-        device.queue.writeBuffer(historyUniformBuffer, 0, new Float32Array([decayValue, trailsActive ? 1.0 : 0.0, 0.0, 0.0]));
+        engine.setHistory(decayValue, trailsActive);
     }
     updateHistoryUniforms();
 
-    function hexToRgb(hex) {
-        const r = parseInt(hex.slice(1, 3), 16) / 255;
-        const g = parseInt(hex.slice(3, 5), 16) / 255;
-        const b = parseInt(hex.slice(5, 7), 16) / 255;
-        return [r, g, b, 1.0];
+    function updateRuleUniforms() {
+        engine.setRule(currentRule);
     }
+    updateRuleUniforms();
 
-    function updatePalette(bgHex, fgHex, chaosHex, alwaysDeadHex, alwaysAliveHex, trailHex) {
-        const bg = hexToRgb(bgHex);
-        const fg = hexToRgb(fgHex);
-        const chaos = hexToRgb(chaosHex);
-        const alwaysDead = hexToRgb(alwaysDeadHex);
-        const alwaysAlive = hexToRgb(alwaysAliveHex);
-        const trail = hexToRgb(trailHex);
+    function updateTopologyUniforms() {
+        engine.setTopology(topologyMode);
+        viewLayersDirty = true;
+    }
+    updateTopologyUniforms();
 
-        const data = new Float32Array([...bg, ...fg, ...chaos, ...alwaysDead, ...alwaysAlive, ...trail]);
-        device.queue.writeBuffer(paletteBuffer, 0, data);
+    function updatePalette(palette) {
+        engine.setPalette(paletteToFloats(palette));
     }
 
-    updatePalette("#29AE93", "#00FFCC", "#FFA500", "#003300", "#CCFFCC", "#FF00FF");
+    updatePalette(DEFAULT_PALETTE);
 
     // --- Patterns ---
     const patterns = [
@@ -335,9 +154,23 @@ async function init() {
         }
     ];
 
+    // Saved selections and imported patterns follow the built-in ones
+    for (const stamp of loadCustomStamps()) {
+        patterns.push({ ...stamp, custom: true });
+    }
+
+    // Storage failures are reported once; the stamps stay usable until reload
+    let stampSaveFailed = false;
+    function storeCustomStamps() {
+        if (saveCustomStamps(patterns.filter(p => p.custom)) || stampSaveFailed) return;
+        stampSaveFailed = true;
+        alert("Could not save custom stamps (browser storage is full or disabled); they will be lost on reload.");
+    }
+
     // --- Stamp Tool State ---
     let isStampActive = false;
     let currentPatternIndex = 0;
+    let isPasting = false; // the stamp is the clipboard rather than a pattern
     let mouseX = 0;
     let mouseY = 0;
 
@@ -359,10 +192,12 @@ async function init() {
         for (let i = 0; i < pattern.data.length; i++) {
             const val = pattern.data[i];
             const offset = i * 4;
-            if (val === 1) {
-                imgData.data[offset] = 0;   // R
-                imgData.data[offset + 1] = 255; // G
-                imgData.data[offset + 2] = 204; // B
+            if (val > 0) {
+                // Default colour of the state (alive = #00FFCC)
+                const [r, g, b] = hexToRgb(CELL_STATES[val].color);
+                imgData.data[offset] = Math.round(r * 255);   // R
+                imgData.data[offset + 1] = Math.round(g * 255); // G
+                imgData.data[offset + 2] = Math.round(b * 255); // B
                 imgData.data[offset + 3] = 255; // A
             } else {
                 imgData.data[offset] = 0;
@@ -381,7 +216,8 @@ async function init() {
         patterns.forEach((p, index) => {
             const btn = document.createElement("div");
             btn.className = "pattern-btn";
-            if (index === 0) btn.classList.add("active");
+            btn.title = p.name;
+            if (index === currentPatternIndex && !isPasting) btn.classList.add("active");
 
             const img = document.createElement("img");
             img.src = generatePatternIcon(p);
@@ -391,56 +227,482 @@ async function init() {
                 document.querySelectorAll(".pattern-btn").forEach(b => b.classList.remove("active"));
                 btn.classList.add("active");
                 currentPatternIndex = index;
+                isPasting = false;
             });
 
+            if (p.custom) {
+                btn.classList.add("custom");
+                btn.title = `${p.name} (double-click to rename)`;
+                btn.addEventListener("dblclick", () => renameCustomStamp(index));
+
+                const del = document.createElement("span");
+                del.className = "pattern-delete";
+                del.textContent = "\u00d7";
+                del.title = "Delete stamp";
+                del.addEventListener("click", (e) => {
+                    e.stopPropagation();
+                    deleteCustomStamp(index);
+                });
+                btn.appendChild(del);
+            }
+
             patternGrid.appendChild(btn);
         });
     }
+
+    function addCustomStamp(pattern) {
+        patterns.push({ name: pattern.name, w: pattern.w, h: pattern.h, data: pattern.data, custom: true });
+        currentPatternIndex = patterns.length - 1;
+        isPasting = false;
+        storeCustomStamps();
+        initStampUI();
+    }
+
+    function renameCustomStamp(index) {
+        const name = prompt("Stamp name:", patterns[index].name);
+        if (name === null || !name.trim()) return;
+        patterns[index].name = name.trim();
+        storeCustomStamps();
+        initStampUI();
+    }
+
+    function deleteCustomStamp(index) {
+        if (!confirm(`Delete the stamp "${patterns[index].name}"?`)) return;
+        patterns.splice(index, 1);
+        if (currentPatternIndex >= index) {
+            currentPatternIndex = Math.max(0, currentPatternIndex - 1);
+        }
+        storeCustomStamps();
+        initStampUI();
+    }
     initStampUI();
 
-    stampToggleBtn.addEventListener("click", () => {
-        isStampActive = !isStampActive;
+    function setStampActive(active) {
+        isStampActive = active;
         stampToggleBtn.textContent = isStampActive ? "ON" : "OFF";
         stampControls.classList.toggle("hidden", !isStampActive);
 
         if (isStampActive) {
             overlayCanvas.style.pointerEvents = "auto";
+            setPaintTool(null);
+            setSelectActive(false);
         } else {
             overlayCanvas.style.pointerEvents = "auto";
+            if (isPasting) {
+                isPasting = false;
+                initStampUI();
+            }
+        }
+        overlayCtx.clearRect(0, 0, overlayCanvas.width, overlayCanvas.height);
+    }
+
+    stampToggleBtn.addEventListener("click", () => {
+        setStampActive(!isStampActive);
+    });
+
+    // --- Stamp Transforms and Modes ---
+    const stampRotateBtn = document.getElementById("stampRotateBtn");
+    const stampMirrorHBtn = document.getElementById("stampMirrorHBtn");
+    const stampMirrorVBtn = document.getElementById("stampMirrorVBtn");
+    const stampModeSelect = document.getElementById("stampModeSelect");
+    const stampStateSelect = document.getElementById("stampStateSelect");
+
+    let stampRotation = 0; // quarter turns clockwise, applied after the mirrors
+    let stampFlipX = false;
+    let stampFlipY = false;
+    let stampMode = STAMP_MODE_TOGGLE;
+    let transformedStamp = null; // cache, patterns can be large imports
+
+    // The selected pattern as it will land on the board
+    function currentStamp() {
+        const pattern = isPasting ? clipboard : patterns[currentPatternIndex];
+        const t = transformedStamp;
+        if (!t || t.source !== pattern || t.rotation !== stampRotation || t.flipX !== stampFlipX || t.flipY !== stampFlipY) {
+            transformedStamp = {
+                source: pattern,
+                rotation: stampRotation,
+                flipX: stampFlipX,
+                flipY: stampFlipY,
+                pattern: transformPattern(pattern, stampRotation, stampFlipX, stampFlipY),
+            };
+        }
+        return transformedStamp.pattern;
+    }
+
+    function rotateStamp(quarterTurns) {
+        stampRotation = (stampRotation + quarterTurns + 4) % 4;
+        drawGhost(lastPointerX, lastPointerY);
+    }
+
+    // Mirrors what is on screen: after an odd rotation the original's axes are swapped
+    function mirrorStamp(horizontal) {
+        if (stampRotation % 2 === 1) horizontal = !horizontal;
+        if (horizontal) {
+            stampFlipX = !stampFlipX;
+        } else {
+            stampFlipY = !stampFlipY;
+        }
+        drawGhost(lastPointerX, lastPointerY);
+    }
+
+    stampRotateBtn.addEventListener("click", () => rotateStamp(1));
+    stampMirrorHBtn.addEventListener("click", () => mirrorStamp(true));
+    stampMirrorVBtn.addEventListener("click", () => mirrorStamp(false));
+
+    STAMP_MODES.forEach(({ mode, name }) => {
+        const option = document.createElement("option");
+        option.value = mode;
+        option.textContent = name;
+        stampModeSelect.appendChild(option);
+    });
+
+    // Every cell state, for the "as state" stamp mode and the paint tools
+    function fillStateSelect(select, selected) {
+        CELL_STATES.forEach((state, id) => {
+            const option = document.createElement("option");
+            option.value = id;
+            option.textContent = state.label;
+            option.selected = id === selected;
+            select.appendChild(option);
+        });
+    }
+    fillStateSelect(stampStateSelect, stateId("chaos"));
+
+    stampModeSelect.addEventListener("change", () => {
+        stampMode = parseInt(stampModeSelect.value);
+        stampStateSelect.classList.toggle("hidden", stampMode !== STAMP_MODE_AS_STATE);
+    });
+
+    window.addEventListener("keydown", (e) => {
+        if (!isStampActive || e.ctrlKey || e.metaKey || e.altKey) return;
+        if (e.target.matches("input[type=text], input[type=number], textarea")) return;
+
+        const key = e.key.toLowerCase();
+        if (key === "r") {
+            rotateStamp(e.shiftKey ? -1 : 1);
+        } else if (key === "h") {
+            mirrorStamp(true);
+        } else if (key === "v") {
+            mirrorStamp(false);
+        }
+    });
+
+    // --- Paint Tools ---
+    // Strokes are previewed on the overlay and written in one go on mouse up,
+    // so a stroke drawn while the simulation runs lands between two generations
+    const paintToolbar = document.getElementById("paintToolbar");
+    const paintControls = document.getElementById("paintControls");
+    const paintStateSelect = document.getElementById("paintStateSelect");
+    const brushRadiusRange = document.getElementById("brushRadiusRange");
+    const paintFilledToggle = document.getElementById("paintFilledToggle");
+    fillStateSelect(paintStateSelect, STATE_ALIVE);
+
+    let paintTool = null; // PAINT_TOOLS id, null when off
+    let paintStroke = null; // { start, last, cells } while the button is held
+
+    function setPaintTool(id) {
+        paintTool = id;
+        paintToolbar.querySelectorAll(".tool-btn").forEach(b => b.classList.toggle("active", b.dataset.tool === id));
+        paintControls.classList.toggle("hidden", !id);
+        if (id && isStampActive) setStampActive(false);
+        if (id) setSelectActive(false);
+        overlayCtx.clearRect(0, 0, overlayCanvas.width, overlayCanvas.height);
+    }
+
+    PAINT_TOOLS.forEach((tool) => {
+        const btn = document.createElement("button");
+        btn.className = "tool-btn";
+        btn.dataset.tool = tool.id;
+        btn.textContent = tool.name;
+        btn.addEventListener("click", () => setPaintTool(paintTool === tool.id ? null : tool.id));
+        paintToolbar.appendChild(btn);
+    });
+
+    // Cells covered by a tool dragged from start to end; the brush gets one path segment
+    function toolCells(tool, start, end) {
+        const radius = parseInt(brushRadiusRange.value);
+        const filled = paintFilledToggle.checked;
+        if (tool === "rect") return thicken(rectCells(start.x, start.y, end.x, end.y, filled), radius);
+        if (tool === "ellipse") return thicken(ellipseCells(start.x, start.y, end.x, end.y, filled), radius);
+        return thicken(lineCells(start.x, start.y, end.x, end.y), radius);
+    }
+
+    function drawPaintPreview(cells) {
+        overlayCtx.clearRect(0, 0, overlayCanvas.width, overlayCanvas.height);
+
+        const { cellW, cellH } = cellScreenSize();
+        const state = parseInt(paintStateSelect.value);
+
+        // Dead would vanish into the background, so it gets the stamp ghost colour
+        overlayCtx.fillStyle = state === 0 ? "rgba(255, 255, 255, 0.5)" : currentPalette()[PALETTE_SLOTS[state]];
+        overlayCtx.globalAlpha = state === 0 ? 1.0 : 0.7;
+        for (const { x, y } of cells) {
+            if (!wrapCell(x, y, gridWidth, gridHeight, topologyMode)) continue;
+            const p = cellToScreen(x, y);
+            overlayCtx.fillRect(p.x, p.y, cellW, cellH);
+        }
+        overlayCtx.globalAlpha = 1.0;
+    }
+
+    function updatePaintPreview(clientX, clientY) {
+        const cell = getWorldCell(clientX, clientY);
+        if (!paintStroke) {
+            // Hover: the footprint of a single dab
+            drawPaintPreview(paintTool === "fill" ? [cell] : toolCells("brush", cell, cell));
+            return;
+        }
+        if (paintTool === "brush") {
+            for (const c of toolCells("brush", paintStroke.last, cell)) paintStroke.cells.add(c.x, c.y);
+            drawPaintPreview(paintStroke.cells.cells);
+        } else {
+            drawPaintPreview(toolCells(paintTool, paintStroke.start, cell));
+        }
+        paintStroke.last = cell;
+    }
+
+    async function writePaint(cells) {
+        if (cells.length === 0) return;
+        const pattern = paintPattern(cells, parseInt(paintStateSelect.value));
+        await recordEdit();
+        branchTimeline();
+        engine.stamp(pattern.x, pattern.y, pattern, STAMP_MODE_PAINT);
+        captureStartBoard();
+    }
+
+    async function startPaint(e) {
+        const cell = getWorldCell(e.clientX, e.clientY);
+        if (paintTool === "fill") {
+            const { width, height, state } = await engine.readState();
+            await writePaint(floodFillCells(state, width, height, cell.x, cell.y, topologyMode));
+            return;
+        }
+        paintStroke = { start: cell, last: cell, cells: createCellSet() };
+        updatePaintPreview(e.clientX, e.clientY);
+    }
+
+    async function finishPaint() {
+        const stroke = paintStroke;
+        paintStroke = null;
+        const cells = paintTool === "brush" ? stroke.cells.cells : toolCells(paintTool, stroke.start, stroke.last);
+        overlayCtx.clearRect(0, 0, overlayCanvas.width, overlayCanvas.height);
+        await writePaint(cells);
+    }
+
+    // --- Selection and Clipboard ---
+    // The marquee is kept in unwrapped world cells; pasting turns the copied
+    // cells into the stamp, so it can be rotated and placed with any mode.
+    const selectToggleBtn = document.getElementById("selectToggleBtn");
+    const selectionControls = document.getElementById("selectionControls");
+    const copySelectionBtn = document.getElementById("copySelectionBtn");
+    const cutSelectionBtn = document.getElementById("cutSelectionBtn");
+    const clearSelectionBtn = document.getElementById("clearSelectionBtn");
+    const cropSelectionBtn = document.getElementById("cropSelectionBtn");
+    const saveSelectionBtn = document.getElementById("saveSelectionBtn");
+    const pasteBtn = document.getElementById("pasteBtn");
+
+    let isSelectActive = false;
+    let selection = null; // { x, y, w, h }
+    let selectionDrag = null; // anchor cell while the button is held
+    let clipboard = null; // { name, w, h, data }
+
+    function setSelectActive(active) {
+        if (active === isSelectActive) return;
+        isSelectActive = active;
+        selectToggleBtn.textContent = active ? "ON" : "OFF";
+        selectionControls.classList.toggle("hidden", !active);
+        selectionDrag = null;
+        if (active) {
+            if (isStampActive) setStampActive(false);
+            setPaintTool(null);
+        }
+        drawSelection();
+    }
+
+    function setSelection(rect) {
+        selection = rect;
+        for (const btn of [copySelectionBtn, cutSelectionBtn, clearSelectionBtn, cropSelectionBtn, saveSelectionBtn]) {
+            btn.disabled = !selection;
+        }
+        drawSelection();
+    }
+
+    function drawSelection() {
+        overlayCtx.clearRect(0, 0, overlayCanvas.width, overlayCanvas.height);
+        if (!isSelectActive || !selection) return;
+
+        const { cellW, cellH } = cellScreenSize();
+        const w = selection.w * cellW;
+        const h = selection.h * cellH;
+        const p = cellToScreen(selection.x, selection.y);
+
+        overlayCtx.fillStyle = "rgba(255, 255, 255, 0.1)";
+        overlayCtx.fillRect(p.x, p.y, w, h);
+        overlayCtx.strokeStyle = "rgba(255, 255, 255, 0.8)";
+        overlayCtx.setLineDash([4, 4]);
+        overlayCtx.strokeRect(p.x + 0.5, p.y + 0.5, w - 1, h - 1);
+        overlayCtx.setLineDash([]);
+    }
+
+    function updateSelectionDrag(clientX, clientY) {
+        setSelection(selectionRect(selectionDrag, getWorldCell(clientX, clientY), gridWidth, gridHeight));
+    }
+
+    async function copySelection() {
+        if (!selection) return;
+        const { width, height, state } = await engine.readState();
+        clipboard = { name: "Clipboard", ...copyRegion(state, width, height, selection, topologyMode) };
+        pasteBtn.disabled = false;
+    }
+
+    async function clearSelection() {
+        if (!selection) return;
+        await recordEdit();
+        branchTimeline();
+        const empty = { w: selection.w, h: selection.h, data: new Array(selection.w * selection.h).fill(0) };
+        engine.stamp(selection.x, selection.y, empty, STAMP_MODE_OVERWRITE);
+        captureStartBoard();
+    }
+
+    async function cutSelection() {
+        await copySelection();
+        await clearSelection();
+    }
+
+    // Keeps the grid size: cells outside the selection die, the rest stay put
+    async function cropToSelection() {
+        if (!selection) return;
+        const { width, height, state } = await engine.readState();
+        await recordEdit();
+        branchTimeline();
+        engine.stamp(0, 0, cropBoard(state, width, height, selection, topologyMode), STAMP_MODE_OVERWRITE);
+        captureStartBoard();
+    }
+
+    async function saveSelectionAsStamp() {
+        if (!selection) return;
+        const name = prompt("Stamp name:", `Selection ${selection.w}x${selection.h}`);
+        if (name === null || !name.trim()) return;
+        const { width, height, state } = await engine.readState();
+        addCustomStamp({ name: name.trim(), ...copyRegion(state, width, height, selection, topologyMode) });
+    }
+
+    function paste() {
+        if (!clipboard) return;
+        isPasting = true;
+        setStampActive(true);
+        initStampUI();
+        stampModeSelect.value = STAMP_MODE_OVERWRITE;
+        stampModeSelect.dispatchEvent(new Event("change"));
+        drawGhost(lastPointerX, lastPointerY);
+    }
+
+    selectToggleBtn.addEventListener("click", () => setSelectActive(!isSelectActive));
+    copySelectionBtn.addEventListener("click", copySelection);
+    cutSelectionBtn.addEventListener("click", cutSelection);
+    clearSelectionBtn.addEventListener("click", clearSelection);
+    cropSelectionBtn.addEventListener("click", cropToSelection);
+    saveSelectionBtn.addEventListener("click", saveSelectionAsStamp);
+    pasteBtn.addEventListener("click", paste);
+
+    window.addEventListener("keydown", (e) => {
+        if (e.target.matches("input[type=text], input[type=number], textarea")) return;
+
+        const key = e.key.toLowerCase();
+        if ((e.ctrlKey || e.metaKey) && key === "v" && clipboard) {
+            e.preventDefault();
+            paste();
+            return;
+        }
+        if (!isSelectActive || !selection) return;
+
+        if ((e.ctrlKey || e.metaKey) && key === "c") {
+            e.preventDefault();
+            copySelection();
+        } else if ((e.ctrlKey || e.metaKey) && key === "x") {
+            e.preventDefault();
+            cutSelection();
+        } else if (key === "delete" || key === "backspace") {
+            e.preventDefault();
+            clearSelection();
+        } else if (key === "escape") {
+            setSelection(null);
         }
     });
 
-    // --- Mouse Handling (Zoom/Pan/Stamp) ---
+    // --- Pointer Handling (Zoom/Pan/Stamp) ---
+    // Mouse and pen work through buttons (middle or Space + left pans);
+    // touch gets its own gestures, see Touch Gestures below.
     let isDragging = false;
     let lastMouseX = 0;
     let lastMouseY = 0;
+    let lastPointerX = 0; // last cursor position, to redraw the ghost from the keyboard
+    let lastPointerY = 0;
 
-    function getGridPos(clientX, clientY) {
+    // Cursor position as a fraction of the board at zoom 1 (fragmentMain's
+    // board_uv): the letterbox margins fall outside 0..1
+    function screenToBoard(clientX, clientY) {
         const rect = overlayCanvas.getBoundingClientRect();
-        const x = clientX - rect.left;
-        const y = clientY - rect.top;
+        const fit = viewFit();
+        return {
+            u: ((clientX - rect.left) / rect.width - 0.5) / fit.x + 0.5,
+            v: ((clientY - rect.top) / rect.height - 0.5) / fit.y + 0.5,
+        };
+    }
+
+    // Unwrapped cell under the cursor: may lie outside the grid on wrapped
+    // or flipped tiles, which is what lets stamps follow the topology.
+    function getWorldCell(clientX, clientY) {
+        const { u, v } = screenToBoard(clientX, clientY);
 
-        const u = x / rect.width;
-        const v = y / rect.height;
+        const worldU = (u / zoom) - panX;
+        const worldV = (v / zoom) - panY;
 
-        let worldU = (u / zoom) - panX;
-        let worldV = (v / zoom) - panY;
+        return { x: Math.floor(worldU * gridWidth), y: Math.floor(worldV * gridHeight) };
+    }
+
+    // Screen-space top-left corner (relative to the overlay) of an unwrapped cell
+    function cellToScreen(cellX, cellY) {
+        const rect = overlayCanvas.getBoundingClientRect();
+        const fit = viewFit();
+        return {
+            x: (((cellX / gridWidth + panX) * zoom - 0.5) * fit.x + 0.5) * rect.width,
+            y: (((cellY / gridHeight + panY) * zoom - 0.5) * fit.y + 0.5) * rect.height,
+        };
+    }
 
-        worldU = worldU - Math.floor(worldU);
-        worldV = worldV - Math.floor(worldV);
+    // On-screen size of one cell, in overlay pixels
+    function cellScreenSize() {
+        const rect = overlayCanvas.getBoundingClientRect();
+        const fit = viewFit();
+        return {
+            cellW: (rect.width / gridWidth) * zoom * fit.x,
+            cellH: (rect.height / gridHeight) * zoom * fit.y,
+        };
+    }
 
-        const gridX = Math.floor(worldU * gridSize);
-        const gridY = Math.floor(worldV * gridSize);
+    // Grid cell under the cursor, or null outside a bounded arena
+    function getGridPos(clientX, clientY) {
+        const cell = getWorldCell(clientX, clientY);
+        return wrapCell(cell.x, cell.y, gridWidth, gridHeight, topologyMode);
+    }
 
-        return { x: gridX, y: gridY };
+    // After the view moves: whichever overlay is showing follows it
+    function redrawOverlay(clientX = lastPointerX, clientY = lastPointerY) {
+        if (isStampActive) {
+            drawGhost(clientX, clientY);
+        } else if (paintTool) {
+            updatePaintPreview(clientX, clientY);
+        } else if (isSelectActive) {
+            drawSelection();
+        } else if (censusHighlight) {
+            drawCensusHighlight();
+        }
     }
 
     overlayCanvas.addEventListener("wheel", (e) => {
         e.preventDefault();
 
-        const rect = overlayCanvas.getBoundingClientRect();
-        const mouseU = (e.clientX - rect.left) / rect.width;
-        const mouseV = (e.clientY - rect.top) / rect.height;
+        const { u: mouseU, v: mouseV } = screenToBoard(e.clientX, e.clientY);
 
         const zoomFactor = 1.1;
         const newZoom = e.deltaY < 0 ? zoom * zoomFactor : zoom / zoomFactor;
@@ -452,81 +714,268 @@ async function init() {
 
         zoom = newZoom;
         updateViewUniforms();
+        schedulePermalinkUpdate();
+        redrawOverlay(e.clientX, e.clientY);
+    }, { passive: false });
 
-        if (isStampActive) {
-            drawGhost(e.clientX, e.clientY);
+    function panByPixels(dx, dy) {
+        const rect = overlayCanvas.getBoundingClientRect();
+        const fit = viewFit();
+
+        panX += dx / rect.width / zoom / fit.x;
+        panY += dy / rect.height / zoom / fit.y;
+
+        updateViewUniforms();
+        schedulePermalinkUpdate();
+    }
+
+    // While the view is dragged the tool previews stay put; marquees and highlights follow
+    function followView() {
+        if (isSelectActive) {
+            drawSelection();
+        } else if (censusHighlight) {
+            drawCensusHighlight();
         }
+    }
 
-        if (!isPlaying) requestAnimationFrame(frame);
-    }, { passive: false });
+    overlayCanvas.addEventListener("pointerdown", (e) => {
+        lastPointerX = e.clientX;
+        lastPointerY = e.clientY;
+        // Keep receiving the drag when it leaves the canvas
+        overlayCanvas.setPointerCapture(e.pointerId);
 
-    overlayCanvas.addEventListener("mousedown", (e) => {
-        if (e.button === 1 || (e.button === 0 && e.getModifierState("Space"))) {
+        if (e.pointerType === "touch") {
+            touchDown(e);
+        } else if (e.button === 1 || (e.button === 0 && e.getModifierState("Space"))) {
             isDragging = true;
             lastMouseX = e.clientX;
             lastMouseY = e.clientY;
             e.preventDefault();
         } else if (e.button === 0 && isStampActive) {
             handleStampClick(e);
+        } else if (e.button === 0 && paintTool) {
+            startPaint(e);
+        } else if (e.button === 0 && isSelectActive) {
+            selectionDrag = getWorldCell(e.clientX, e.clientY);
+            updateSelectionDrag(e.clientX, e.clientY);
+        } else if (e.button === 0 && inspectorToggle.checked) {
+            pinInspector(e.clientX, e.clientY);
         }
     });
 
-    window.addEventListener("mousemove", (e) => {
-        if (isDragging) {
-            const dx = e.clientX - lastMouseX;
-            const dy = e.clientY - lastMouseY;
-            const rect = overlayCanvas.getBoundingClientRect();
-
-            panX += dx / rect.width / zoom;
-            panY += dy / rect.height / zoom;
+    overlayCanvas.addEventListener("pointermove", (e) => {
+        lastPointerX = e.clientX;
+        lastPointerY = e.clientY;
 
-            updateViewUniforms();
+        if (e.pointerType === "touch") {
+            touchMove(e);
+            return;
+        }
 
+        if (isDragging) {
+            panByPixels(e.clientX - lastMouseX, e.clientY - lastMouseY);
             lastMouseX = e.clientX;
             lastMouseY = e.clientY;
-
-            if (!isPlaying) requestAnimationFrame(frame);
         }
 
         if (isStampActive && !isDragging) {
             drawGhost(e.clientX, e.clientY);
+        } else if (paintTool && !isDragging) {
+            updatePaintPreview(e.clientX, e.clientY);
+        } else if (selectionDrag) {
+            updateSelectionDrag(e.clientX, e.clientY);
+        } else if (isDragging) {
+            followView();
+        }
+        if (inspectorToggle.checked && !inspectorPinned && !isDragging) {
+            inspectAt(e.clientX, e.clientY);
         }
     });
 
-    window.addEventListener("mouseup", () => {
+    function pointerUp(e) {
+        if (e.pointerType === "touch") {
+            touchUp(e, e.type === "pointercancel");
+            return;
+        }
         isDragging = false;
+        selectionDrag = null;
+        if (paintStroke) {
+            finishPaint();
+        }
+    }
+
+    overlayCanvas.addEventListener("pointerup", pointerUp);
+    overlayCanvas.addEventListener("pointercancel", pointerUp);
+    overlayCanvas.addEventListener("pointerleave", () => {
+        if (!inspectorPinned) hideInspector();
     });
 
-    function drawGhost(clientX, clientY) {
-        const pos = getGridPos(clientX, clientY);
-        mouseX = pos.x;
-        mouseY = pos.y;
+    // --- Touch Gestures ---
+    // One finger uses the active tool, or pans when there is none. A stamp
+    // (or a fill) lands when the finger lifts; holding still for
+    // LONG_PRESS_MS shows where first, and dragging moves it. A second
+    // finger cancels whatever the first one started and pinches instead:
+    // zoom around the gesture centre, pan by moving it.
+    const LONG_PRESS_MS = 400;
+    const TAP_SLOP = 8; // px a finger may wander before a press becomes a drag
+
+    const touches = new Map(); // pointerId -> { x, y }
+    let touchPress = null; // { x, y, startX, startY, timer, previewing } pending stamp or fill
+    let touchPan = null; // { x, y, startX, startY } one-finger pan with no tool
+    let pinch = null; // { distance, zoom, worldU, worldV } at the start of the gesture
+
+    function touchDown(e) {
+        touches.set(e.pointerId, { x: e.clientX, y: e.clientY });
+        if (touches.size === 2) {
+            cancelTouchAction();
+            startPinch();
+            return;
+        }
+        if (touches.size > 2 || pinch) return;
+
+        if (isStampActive || paintTool === "fill") {
+            const press = { x: e.clientX, y: e.clientY, startX: e.clientX, startY: e.clientY, previewing: false };
+            press.timer = setTimeout(() => {
+                press.previewing = true;
+                redrawOverlay(press.x, press.y);
+            }, LONG_PRESS_MS);
+            touchPress = press;
+        } else if (paintTool) {
+            startPaint(e);
+        } else if (isSelectActive) {
+            selectionDrag = getWorldCell(e.clientX, e.clientY);
+            updateSelectionDrag(e.clientX, e.clientY);
+        } else {
+            touchPan = { x: e.clientX, y: e.clientY, startX: e.clientX, startY: e.clientY };
+        }
+    }
+
+    function touchMove(e) {
+        if (!touches.has(e.pointerId)) return;
+        touches.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+        if (pinch) {
+            updatePinch();
+        } else if (touchPress) {
+            touchPress.x = e.clientX;
+            touchPress.y = e.clientY;
+            if (Math.hypot(e.clientX - touchPress.startX, e.clientY - touchPress.startY) > TAP_SLOP) {
+                clearTimeout(touchPress.timer);
+                touchPress.previewing = true;
+            }
+            if (touchPress.previewing) redrawOverlay(e.clientX, e.clientY);
+        } else if (paintStroke) {
+            updatePaintPreview(e.clientX, e.clientY);
+        } else if (selectionDrag) {
+            updateSelectionDrag(e.clientX, e.clientY);
+        } else if (touchPan) {
+            panByPixels(e.clientX - touchPan.x, e.clientY - touchPan.y);
+            touchPan.x = e.clientX;
+            touchPan.y = e.clientY;
+            followView();
+        }
+    }
+
+    function touchUp(e, cancelled) {
+        if (!touches.delete(e.pointerId)) return;
+
+        if (pinch) {
+            // The finger left behind does nothing until it lifts too
+            if (touches.size === 0) pinch = null;
+            return;
+        }
+        if (cancelled) {
+            cancelTouchAction();
+            return;
+        }
+
+        if (touchPress) {
+            const press = touchPress;
+            clearTimeout(press.timer);
+            touchPress = null;
+            overlayCtx.clearRect(0, 0, overlayCanvas.width, overlayCanvas.height);
+            const at = { clientX: press.x, clientY: press.y };
+            if (isStampActive) {
+                handleStampClick(at);
+            } else {
+                startPaint(at);
+            }
+        } else if (paintStroke) {
+            finishPaint();
+        } else if (touchPan && inspectorToggle.checked &&
+            Math.hypot(e.clientX - touchPan.startX, e.clientY - touchPan.startY) <= TAP_SLOP) {
+            // A tap that didn't pan pins the cell
+            pinInspector(e.clientX, e.clientY);
+        }
+        selectionDrag = null;
+        touchPan = null;
+    }
 
+    // Drops an unfinished one-finger action without touching the board
+    function cancelTouchAction() {
+        if (touchPress) clearTimeout(touchPress.timer);
+        touchPress = null;
+        paintStroke = null;
+        selectionDrag = null;
+        touchPan = null;
         overlayCtx.clearRect(0, 0, overlayCanvas.width, overlayCanvas.height);
+        followView();
+    }
 
-        const pattern = patterns[currentPatternIndex];
+    function pinchGeometry() {
+        const [a, b] = [...touches.values()];
+        return {
+            x: (a.x + b.x) / 2,
+            y: (a.y + b.y) / 2,
+            distance: Math.max(1, Math.hypot(a.x - b.x, a.y - b.y)),
+        };
+    }
 
-        const rect = overlayCanvas.getBoundingClientRect();
-        const width = rect.width;
-        const height = rect.height;
+    function startPinch() {
+        const g = pinchGeometry();
+        const { u, v } = screenToBoard(g.x, g.y);
+        pinch = { distance: g.distance, zoom, worldU: u / zoom - panX, worldV: v / zoom - panY };
+    }
+
+    // The world point first under the gesture centre stays under it,
+    // with the same zoom limits as the wheel
+    function updatePinch() {
+        if (touches.size < 2) return;
+        const g = pinchGeometry();
+        zoom = Math.min(50.0, Math.max(0.5, pinch.zoom * g.distance / pinch.distance));
+        const { u, v } = screenToBoard(g.x, g.y);
+        panX = u / zoom - pinch.worldU;
+        panY = v / zoom - pinch.worldV;
+
+        updateViewUniforms();
+        schedulePermalinkUpdate();
+        followView();
+    }
+
+    function drawGhost(clientX, clientY) {
+        const pos = getWorldCell(clientX, clientY);
+        mouseX = pos.x;
+        mouseY = pos.y;
 
-        const originX = panX * zoom * width;
-        const originY = panY * zoom * height;
+        overlayCtx.clearRect(0, 0, overlayCanvas.width, overlayCanvas.height);
 
-        const cellW = (width / gridSize) * zoom;
-        const cellH = (height / gridSize) * zoom;
+        const pattern = currentStamp();
 
-        overlayCtx.fillStyle = "rgba(255, 255, 255, 0.5)";
+        const { cellW, cellH } = cellScreenSize();
+        const snap = cellToScreen(pos.x, pos.y);
 
         for (let py = 0; py < pattern.h; py++) {
             for (let px = 0; px < pattern.w; px++) {
-                if (pattern.data[py * pattern.w + px] === 1) {
-                    const snapX = Math.floor((clientX - rect.left - originX) / cellW) * cellW + originX;
-                    const snapY = Math.floor((clientY - rect.top - originY) / cellH) * cellH + originY;
+                const empty = pattern.data[py * pattern.w + px] === 0;
+                // Overwrite also clears the pattern's empty cells, shown fainter
+                if (!empty || stampMode === STAMP_MODE_OVERWRITE) {
+                    // Skip cells that would fall off a bounded arena, like stampMain does
+                    if (!wrapCell(pos.x + px, pos.y + py, gridWidth, gridHeight, topologyMode)) continue;
 
+                    overlayCtx.fillStyle = empty ? "rgba(255, 255, 255, 0.15)" : "rgba(255, 255, 255, 0.5)";
                     overlayCtx.fillRect(
-                        snapX + px * cellW,
-                        snapY + py * cellH,
+                        snap.x + px * cellW,
+                        snap.y + py * cellH,
                         cellW,
                         cellH
                     );
@@ -535,49 +984,378 @@ async function init() {
         }
     }
 
-    function handleStampClick(e) {
-        const pos = getGridPos(e.clientX, e.clientY);
-        const pattern = patterns[currentPatternIndex];
+    async function handleStampClick(e) {
+        const pos = getWorldCell(e.clientX, e.clientY);
+        await recordEdit();
+        branchTimeline();
+        engine.stamp(pos.x, pos.y, currentStamp(), stampMode, parseInt(stampStateSelect.value));
+        captureStartBoard();
+    }
 
-        const patternArray = new Uint32Array(pattern.data);
-        device.queue.writeBuffer(patternDataBuffer, 0, patternArray);
+    // --- Grid Lines and Cell Inspector ---
+    // Both live on their own canvas under the tool overlay. Lines appear once
+    // cells are GRID_LINE_MIN_CELL pixels across, with a major line on every
+    // Nth column and row of the grid. The inspector reads the cell under the
+    // cursor back from the engine; a click pins it to that cell, so it can
+    // be followed while the simulation runs.
+    const gridCanvas = document.getElementById("gridCanvas");
+    const gridCtx = gridCanvas.getContext("2d");
+    const gridLinesToggle = document.getElementById("gridLinesToggle");
+    const gridMajorInput = document.getElementById("gridMajorInput");
+    const inspectorToggle = document.getElementById("inspectorToggle");
+    const cellInspector = document.getElementById("cellInspector");
+
+    const GRID_LINE_MIN_CELL = 6;
+    const GRID_MINOR_COLOR = "rgba(255, 255, 255, 0.12)";
+    const GRID_MAJOR_COLOR = "rgba(255, 255, 255, 0.35)";
+    const PIN_COLOR = "#ffcc00";
+
+    let inspected = null; // unwrapped world cell under the cursor, or the pinned one
+    let inspectorPinned = false;
+    let inspectedGeneration = -1; // generation the shown values belong to
+    let inspectSerial = 0; // drops readbacks for a cell the cursor has already left
+
+    function isMajorLine(index, size, every) {
+        return every > 0 && (((index % size) + size) % size) % every === 0;
+    }
 
-        device.queue.writeBuffer(stampUniformBuffer, 0, new Int32Array([pos.x, pos.y, pattern.w, pattern.h]));
+    function drawGridLayer() {
+        gridCtx.clearRect(0, 0, gridCanvas.width, gridCanvas.height);
 
-        const commandEncoder = device.createCommandEncoder();
+        const { cellW, cellH } = cellScreenSize();
+        if (inspectorPinned) {
+            const pin = cellToScreen(inspected.x, inspected.y);
+            gridCtx.strokeStyle = PIN_COLOR;
+            gridCtx.lineWidth = 2;
+            gridCtx.strokeRect(pin.x, pin.y, cellW, cellH);
+            placeInspector();
+        }
+        if (!gridLinesToggle.checked || Math.min(cellW, cellH) < GRID_LINE_MIN_CELL) return;
+
+        // Visible span in unwrapped cells; bounded arenas are not tiled
+        const origin = cellToScreen(0, 0);
+        let x0 = Math.floor(-origin.x / cellW);
+        let x1 = Math.ceil((gridCanvas.width - origin.x) / cellW);
+        let y0 = Math.floor(-origin.y / cellH);
+        let y1 = Math.ceil((gridCanvas.height - origin.y) / cellH);
+        if (topologyMode === TOPOLOGY_DEAD || topologyMode === TOPOLOGY_ALIVE || topologyMode === TOPOLOGY_MIRROR) {
+            x0 = Math.max(x0, 0);
+            x1 = Math.min(x1, gridWidth);
+            y0 = Math.max(y0, 0);
+            y1 = Math.min(y1, gridHeight);
+        }
+        const left = origin.x + x0 * cellW;
+        const right = origin.x + x1 * cellW;
+        const top = origin.y + y0 * cellH;
+        const bottom = origin.y + y1 * cellH;
+        const every = Math.max(0, parseInt(gridMajorInput.value) || 0);
+
+        gridCtx.lineWidth = 1;
+        for (const major of [false, true]) {
+            gridCtx.strokeStyle = major ? GRID_MAJOR_COLOR : GRID_MINOR_COLOR;
+            gridCtx.beginPath();
+            for (let x = x0; x <= x1; x++) {
+                if (isMajorLine(x, gridWidth, every) !== major) continue;
+                const sx = Math.round(origin.x + x * cellW) + 0.5;
+                gridCtx.moveTo(sx, top);
+                gridCtx.lineTo(sx, bottom);
+            }
+            for (let y = y0; y <= y1; y++) {
+                if (isMajorLine(y, gridHeight, every) !== major) continue;
+                const sy = Math.round(origin.y + y * cellH) + 0.5;
+                gridCtx.moveTo(left, sy);
+                gridCtx.lineTo(right, sy);
+            }
+            gridCtx.stroke();
+        }
+    }
 
-        const src = useTextureA ? textureA : textureB;
-        const dst = useTextureA ? textureB : textureA;
+    // Next to the inspected cell, kept inside the canvas
+    function placeInspector() {
+        const { cellW, cellH } = cellScreenSize();
+        const corner = cellToScreen(inspected.x, inspected.y);
+        const maxX = gridCanvas.width - cellInspector.offsetWidth;
+        const maxY = gridCanvas.height - cellInspector.offsetHeight;
+        cellInspector.style.left = `${Math.max(0, Math.min(corner.x + cellW + 8, maxX))}px`;
+        cellInspector.style.top = `${Math.max(0, Math.min(corner.y + cellH + 8, maxY))}px`;
+    }
 
-        commandEncoder.copyTextureToTexture(
-            { texture: src },
-            { texture: dst },
-            [gridSize, gridSize]
-        );
+    function hideInspector() {
+        inspected = null;
+        inspectorPinned = false;
+        inspectSerial++;
+        cellInspector.classList.add("hidden");
+        viewLayersDirty = true;
+    }
 
-        const pass = commandEncoder.beginComputePass();
-        pass.setPipeline(stampPipeline);
-        pass.setBindGroup(0, useTextureA ? stampBindGroupA : stampBindGroupB);
-        pass.dispatchWorkgroups(Math.ceil(pattern.w / WORKGROUP_SIZE), Math.ceil(pattern.h / WORKGROUP_SIZE));
-        pass.end();
+    // Reads the inspected cell back and shows it; also called by the frame
+    // loop when the generation changes
+    async function refreshInspector() {
+        const cell = wrapCell(inspected.x, inspected.y, gridWidth, gridHeight, topologyMode);
+        const serial = ++inspectSerial;
+        inspectedGeneration = generation;
+        if (!cell) {
+            cellInspector.classList.add("hidden");
+            return;
+        }
 
-        device.queue.submit([commandEncoder.finish()]);
+        const info = await engine.readCell(cell.x, cell.y);
+        if (serial !== inspectSerial) return;
+
+        const lines = [
+            `(${cell.x}, ${cell.y}) ${STATE_LABELS[Math.round(info.state)] ?? info.state}`,
+            `Live neighbours: ${info.neighbours}`,
+            `Trail: ${info.history.toFixed(3)}`,
+        ];
+        if (inspectorPinned) lines.push("Pinned (click to release)");
+        cellInspector.textContent = lines.join("\n");
+        cellInspector.classList.remove("hidden");
+        placeInspector();
+    }
 
-        useTextureA = !useTextureA;
+    function inspectAt(clientX, clientY) {
+        const cell = getWorldCell(clientX, clientY);
+        if (inspected && cell.x === inspected.x && cell.y === inspected.y) return;
+        inspected = cell;
+        refreshInspector();
+    }
 
-        if (!isPlaying) {
-            requestAnimationFrame(frame);
+    // Pins the clicked cell, or releases it when it is already pinned
+    function pinInspector(clientX, clientY) {
+        const cell = getWorldCell(clientX, clientY);
+        if (inspectorPinned && cell.x === inspected.x && cell.y === inspected.y) {
+            inspectorPinned = false;
+        } else {
+            inspected = cell;
+            inspectorPinned = true;
         }
+        viewLayersDirty = true;
+        refreshInspector();
     }
 
+    gridLinesToggle.addEventListener("change", () => { viewLayersDirty = true; });
+    gridMajorInput.addEventListener("change", () => { viewLayersDirty = true; });
+    inspectorToggle.addEventListener("change", (e) => {
+        if (e.target.checked) {
+            overlayCanvas.style.pointerEvents = "auto";
+        } else {
+            hideInspector();
+        }
+    });
+    window.addEventListener("keydown", (e) => {
+        if (e.key === "Escape" && inspectorPinned) hideInspector();
+    });
+
+    // --- Minimap ---
+    // The whole grid at low resolution in a corner, read back from the
+    // engine at most every MINIMAP_REFRESH_MS while generations pass (every
+    // MINIMAP_IDLE_MS otherwise, to pick up edits), with the part the view
+    // shows outlined.
+    // Panning never wraps panX/panY, so the outline is folded back onto the
+    // grid the way wrapCell folds cells, one piece per tile the view touches.
+    const minimapCanvas = document.getElementById("minimapCanvas");
+    const minimapCtx = minimapCanvas.getContext("2d");
+    const minimapToggle = document.getElementById("minimapToggle");
+    const fitViewBtn = document.getElementById("fitViewBtn");
+    const pixelViewBtn = document.getElementById("pixelViewBtn");
+    const centreViewBtn = document.getElementById("centreViewBtn");
+
+    const MINIMAP_SIZE = 160; // px along the longer side
+    const MINIMAP_REFRESH_MS = 500;
+    const MINIMAP_IDLE_MS = 2000;
+    const minimapBoard = document.createElement("canvas"); // last board read back, drawn under the outline
+    const minimapBoardCtx = minimapBoard.getContext("2d");
+
+    let minimapRead = null; // readback in flight
+    let minimapReadTime = -Infinity;
+    let minimapGeneration = -1; // generation of the board shown
+
+    // Samples the board down to the minimap, one cell per pixel
+    async function readMinimap() {
+        const { width, height, state, history } = await engine.readState();
+        const scale = MINIMAP_SIZE / Math.max(width, height);
+        const w = Math.max(1, Math.round(width * scale));
+        const h = Math.max(1, Math.round(height * scale));
+        const sampledState = new Float32Array(w * h);
+        const sampledHistory = new Float32Array(w * h);
+        for (let y = 0; y < h; y++) {
+            const row = Math.floor(y * height / h) * width;
+            for (let x = 0; x < w; x++) {
+                const idx = row + Math.floor(x * width / w);
+                sampledState[y * w + x] = state[idx];
+                sampledHistory[y * w + x] = history[idx];
+            }
+        }
+
+        minimapBoard.width = w;
+        minimapBoard.height = h;
+        const image = minimapBoardCtx.createImageData(w, h);
+        colorizeCells(sampledState, sampledHistory, paletteToFloats(currentPalette()), image.data);
+        minimapBoardCtx.putImageData(image, 0, 0);
+        if (minimapCanvas.width !== w || minimapCanvas.height !== h) {
+            minimapCanvas.width = w;
+            minimapCanvas.height = h;
+            minimapCanvas.style.width = `${w}px`;
+            minimapCanvas.style.height = `${h}px`;
+        }
+        drawMinimap();
+    }
+
+    // Called every frame; at most one readback in flight
+    function refreshMinimap(now) {
+        if (!minimapToggle.checked || minimapRead) return;
+        const wait = generation === minimapGeneration ? MINIMAP_IDLE_MS : MINIMAP_REFRESH_MS;
+        if (now - minimapReadTime < wait) return;
+        minimapReadTime = now;
+        minimapGeneration = generation;
+        minimapRead = readMinimap().finally(() => { minimapRead = null; });
+    }
+
+    // The visible part of the world, as fractions of the grid
+    function viewExtent() {
+        const fit = viewFit();
+        return {
+            u0: (0.5 - 0.5 / fit.x) / zoom - panX,
+            u1: (0.5 + 0.5 / fit.x) / zoom - panX,
+            v0: (0.5 - 0.5 / fit.y) / zoom - panY,
+            v1: (0.5 + 0.5 / fit.y) / zoom - panY,
+        };
+    }
+
+    // [from, to] split at whole numbers: [{ tile, a, b }] with a..b inside 0..1;
+    // a span of a whole tile or more is one full piece
+    function splitSpan(from, to) {
+        if (to - from >= 1) return [{ tile: 0, a: 0, b: 1 }];
+        const pieces = [];
+        for (let tile = Math.floor(from); tile < to; tile++) {
+            pieces.push({ tile, a: Math.max(from, tile) - tile, b: Math.min(to, tile + 1) - tile });
+        }
+        return pieces;
+    }
+
+    function drawMinimap() {
+        if (!minimapToggle.checked) return;
+        const w = minimapCanvas.width;
+        const h = minimapCanvas.height;
+        minimapCtx.clearRect(0, 0, w, h);
+        minimapCtx.drawImage(minimapBoard, 0, 0, w, h);
+
+        const view = viewExtent();
+        let columns = splitSpan(view.u0, view.u1);
+        let rows = splitSpan(view.v0, view.v1);
+        if (topologyMode === TOPOLOGY_DEAD || topologyMode === TOPOLOGY_ALIVE || topologyMode === TOPOLOGY_MIRROR) {
+            // Not tiled: only the part over the grid
+            const clip = (from, to) => ({ tile: 0, a: Math.max(from, 0), b: Math.min(to, 1) });
+            columns = [clip(view.u0, view.u1)];
+            rows = [clip(view.v0, view.v1)];
+        }
+
+        minimapCtx.strokeStyle = "#fff";
+        minimapCtx.lineWidth = 1;
+        for (const row of rows) {
+            for (const column of columns) {
+                if (column.b <= column.a || row.b <= row.a) continue;
+                // Tiles past a flipping edge show the grid mirrored, as in wrapCell
+                const flipX = (topologyMode === TOPOLOGY_KLEIN || topologyMode === TOPOLOGY_PROJECTIVE) && Math.abs(row.tile % 2) === 1;
+                const flipY = topologyMode === TOPOLOGY_PROJECTIVE && Math.abs(column.tile % 2) === 1;
+                const x0 = flipX ? 1 - column.b : column.a;
+                const x1 = flipX ? 1 - column.a : column.b;
+                const y0 = flipY ? 1 - row.b : row.a;
+                const y1 = flipY ? 1 - row.a : row.b;
+                minimapCtx.strokeRect(x0 * w + 0.5, y0 * h + 0.5, Math.max(1, (x1 - x0) * w - 1), Math.max(1, (y1 - y0) * h - 1));
+            }
+        }
+    }
+
+    // Puts grid point (u, v), in fractions of the grid, at the centre of the canvas
+    function centreView(u, v, newZoom = zoom) {
+        applyView({ zoom: newZoom, panX: 0.5 / newZoom - u, panY: 0.5 / newZoom - v });
+        schedulePermalinkUpdate();
+        redrawOverlay();
+    }
+
+    function fitView() {
+        centreView(0.5, 0.5, 1.0);
+    }
+
+    // One grid cell per canvas pixel around the current centre, within the
+    // zoom range the wheel allows
+    function pixelView() {
+        const rect = overlayCanvas.getBoundingClientRect();
+        const newZoom = Math.min(50.0, Math.max(0.5, gridWidth / (rect.width * viewFit().x)));
+        const view = viewExtent();
+        centreView((view.u0 + view.u1) / 2, (view.v0 + view.v1) / 2, newZoom);
+    }
+
+    // Centres the bounding box of the non-dead cells
+    async function centreOnActivity() {
+        const { width, height, state } = await engine.readState();
+        const bounds = activeBounds(state, width, height);
+        if (!bounds) return;
+        centreView((bounds.x + bounds.w / 2) / width, (bounds.y + bounds.h / 2) / height);
+    }
+
+    let minimapDrag = false;
+
+    function minimapNavigate(e) {
+        const rect = minimapCanvas.getBoundingClientRect();
+        const u = Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width));
+        const v = Math.min(1, Math.max(0, (e.clientY - rect.top) / rect.height));
+        centreView(u, v);
+    }
+
+    minimapCanvas.addEventListener("pointerdown", (e) => {
+        if (e.button !== 0) return;
+        minimapDrag = true;
+        minimapCanvas.setPointerCapture(e.pointerId);
+        minimapNavigate(e);
+    });
+    minimapCanvas.addEventListener("pointermove", (e) => {
+        if (minimapDrag) minimapNavigate(e);
+    });
+    minimapCanvas.addEventListener("pointerup", () => { minimapDrag = false; });
+    minimapCanvas.addEventListener("pointercancel", () => { minimapDrag = false; });
+
+    minimapToggle.addEventListener("change", (e) => {
+        minimapCanvas.classList.toggle("hidden", !e.target.checked);
+        minimapReadTime = -Infinity;
+        viewLayersDirty = true;
+    });
+    fitViewBtn.addEventListener("click", fitView);
+    pixelViewBtn.addEventListener("click", pixelView);
+    centreViewBtn.addEventListener("click", centreOnActivity);
+
+    window.addEventListener("keydown", (e) => {
+        if (e.ctrlKey || e.metaKey || e.altKey) return;
+        if (e.target.matches("input[type=text], input[type=number], textarea, select")) return;
+
+        const key = e.key.toLowerCase();
+        if (key === "f") {
+            fitView();
+        } else if (key === "1") {
+            pixelView();
+        } else if (key === "c") {
+            centreOnActivity();
+        }
+    });
+
     // --- UI Elements ---
     const fpsElem = document.getElementById("fps");
     const genElem = document.getElementById("generation");
     const playPauseBtn = document.getElementById("playPauseBtn");
+    const stepBackBtn = document.getElementById("stepBackBtn");
+    const stepForwardBtn = document.getElementById("stepForwardBtn");
+    const timelineRange = document.getElementById("timelineRange");
+    const timelineLengthInput = document.getElementById("timelineLengthInput");
     const randomSoupBtn = document.getElementById("randomSoupBtn");
+    const seedInput = document.getElementById("seedInput");
+    const rerollSeedBtn = document.getElementById("rerollSeedBtn");
     const crossBtn = document.getElementById("crossBtn");
     const dotBtn = document.getElementById("dotBtn");
     const yinYangBtn = document.getElementById("yinYangBtn");
+    const undoBtn = document.getElementById("undoBtn");
+    const redoBtn = document.getElementById("redoBtn");
+    const undoBudgetInput = document.getElementById("undoBudgetInput");
     const fpsCapInput = document.getElementById("fpsCap");
     const toggleMenuBtn = document.getElementById("toggleMenuBtn");
     const overlay = document.getElementById("overlay");
@@ -586,44 +1364,635 @@ async function init() {
     const decayRange = document.getElementById("decayRange");
     const statsToggle = document.getElementById("statsToggle");
     const gridSizeSelect = document.getElementById("gridSizeSelect");
-
-    const colorBgInput = document.getElementById("colorBg");
-    const colorFgInput = document.getElementById("colorFg");
-    const colorChaosInput = document.getElementById("colorChaos");
-    const colorAlwaysDeadInput = document.getElementById("colorAlwaysDead");
-    const colorAlwaysAliveInput = document.getElementById("colorAlwaysAlive");
-    const colorTrailInput = document.getElementById("colorTrail");
+    const gridWidthInput = document.getElementById("gridWidthInput");
+    const gridHeightInput = document.getElementById("gridHeightInput");
+    const resizeAnchorSelect = document.getElementById("resizeAnchorSelect");
+    const viewFitSelect = document.getElementById("viewFitSelect");
+    const ruleInput = document.getElementById("ruleInput");
+    const rulePresetList = document.getElementById("rulePresets");
+    const topologySelect = document.getElementById("topologySelect");
+
+    const patternFileInput = document.getElementById("patternFileInput");
+    const patternOpenBtn = document.getElementById("patternOpenBtn");
+    const patternText = document.getElementById("patternText");
+    const patternAddStampBtn = document.getElementById("patternAddStampBtn");
+    const patternLoadBoardBtn = document.getElementById("patternLoadBoardBtn");
+    const exportFormatSelect = document.getElementById("exportFormatSelect");
+    const exportCropToggle = document.getElementById("exportCropToggle");
+    const exportBoardBtn = document.getElementById("exportBoardBtn");
+    const saveWorldBtn = document.getElementById("saveWorldBtn");
+    const loadWorldBtn = document.getElementById("loadWorldBtn");
+    const worldFileInput = document.getElementById("worldFileInput");
+
+    const paletteControls = document.getElementById("paletteControls");
     const systemPresetBtn = document.getElementById("systemPresetBtn");
 
+    // One colour picker per palette slot (colorBg, colorFg, ..., colorTrail)
+    const paletteInputs = {};
+    PALETTE_SLOTS.forEach((slot, i) => {
+        const state = CELL_STATES[i];
+        const group = document.createElement("div");
+        group.className = "color-picker-group";
+        const input = document.createElement("input");
+        input.type = "color";
+        input.id = `color${slot[0].toUpperCase()}${slot.slice(1)}`;
+        input.value = DEFAULT_PALETTE[slot].toLowerCase();
+        const label = document.createElement("label");
+        label.htmlFor = input.id;
+        label.textContent = state ? state.short ?? state.label : "Trail";
+        group.append(label, input);
+        paletteControls.appendChild(group);
+        paletteInputs[slot] = input;
+    });
+
     // --- State ---
     let frameCount = 0;
     let lastTime = performance.now();
     let generation = 0;
-    let useTextureA = true;
+    let boardVersion = 0; // bumped on every upload and edit, so slow work on a board can tell it went stale
     let isPlaying = false;
+    let stepRequested = false;
     let fpsInterval = 1000 / 12;
     let then = performance.now();
+    let lastStepTime = performance.now();
 
-    function uploadData(data) {
-        device.queue.writeTexture(
-            { texture: textureA },
-            data,
-            { bytesPerRow: gridSize * 4 },
-            { width: gridSize, height: gridSize }
-        );
-        device.queue.writeTexture(
-            { texture: textureB },
-            data,
-            { bytesPerRow: gridSize * 4 },
-            { width: gridSize, height: gridSize }
-        );
-        generation = 0;
+    function uploadData(data, history, startGeneration = 0) {
+        boardVersion++;
+        engine.upload(data, history, startGeneration);
+        generation = startGeneration;
         genElem.textContent = `Gen: ${generation}`;
-        useTextureA = true;
+        timelineOffset = 0;
+        updateTimelineUI();
+        discardStaleStats();
+    }
+
+    // --- Timeline ---
+    // The engine keeps the last N boards. Scrubbing makes an earlier one live;
+    // playing, stepping or editing from there branches a new run.
+    const TIMELINE_MEMORY_LIMIT = 256 * 1024 * 1024;
+    let timelineOffset = 0; // generations behind the newest recorded board
+
+    // Capped so large grids don't exhaust memory (4 bytes per cell on the GPU)
+    function timelineCapacity() {
+        const requested = Math.max(0, parseInt(timelineLengthInput.value) || 0);
+        return Math.min(requested, Math.floor(TIMELINE_MEMORY_LIMIT / (gridWidth * gridHeight * 4)));
+    }
+
+    function updateTimelineUI() {
+        const length = engine.timelineLength;
+        timelineRange.max = Math.max(0, length - 1);
+        timelineRange.value = length - 1 - timelineOffset;
+        stepBackBtn.disabled = timelineOffset >= length - 1;
+    }
+
+    function showTimelineFrame(offset) {
+        timelineOffset = offset;
+        generation = engine.restoreTimeline(offset);
+        genElem.textContent = `Gen: ${generation}`;
+        updateTimelineUI();
+    }
+
+    // Continuing from an earlier board discards the boards after it
+    function branchTimeline() {
+        if (timelineOffset === 0) return;
+        engine.truncateTimeline(timelineOffset);
+        timelineOffset = 0;
+        updateTimelineUI();
+        discardStaleStats();
+    }
+
+    function pause() {
+        isPlaying = false;
+        playPauseBtn.textContent = "Play";
+    }
+
+    timelineRange.addEventListener("input", () => {
+        pause();
+        showTimelineFrame(engine.timelineLength - 1 - parseInt(timelineRange.value));
+    });
+
+    stepBackBtn.addEventListener("click", () => {
+        pause();
+        if (timelineOffset < engine.timelineLength - 1) {
+            showTimelineFrame(timelineOffset + 1);
+        }
+    });
+
+    // Replays a recorded board if there is one, otherwise computes the next generation
+    stepForwardBtn.addEventListener("click", () => {
+        pause();
+        if (timelineOffset > 0) {
+            showTimelineFrame(timelineOffset - 1);
+        } else {
+            stepRequested = true;
+        }
+    });
+
+    timelineLengthInput.addEventListener("change", () => {
+        engine.setTimelineCapacity(timelineCapacity());
+        timelineOffset = 0;
+        updateTimelineUI();
+    });
+
+    // --- HashLife ---
+    // Deterministic boards can be advanced many generations at once: the
+    // board is read back, run through hashlife.js and uploaded again, so the
+    // timeline and trails restart from the result.
+    const hashLifeStepInput = document.getElementById("hashLifeStepInput");
+    const hashLifeStepBtn = document.getElementById("hashLifeStepBtn");
+    const hashLifeToggle = document.getElementById("hashLifeToggle");
+    const hashLifeJumpInput = document.getElementById("hashLifeJumpInput");
+    const hashLifeJumpBtn = document.getElementById("hashLifeJumpBtn");
+    const hashLifeStatus = document.getElementById("hashLifeStatus");
+
+    // The engines count generations in 32 bits
+    const MAX_GENERATION = 0xFFFFFFFF;
+    const MAX_JUMP_EXPONENT = 31;
+
+    let hashLife = null; // universe for the current rule, its memo kept between runs
+    let hashLifeBusy = false;
+
+    function showHashLifeStatus(text) {
+        hashLifeStatus.textContent = text;
+        hashLifeStatus.classList.toggle("hidden", !text);
+    }
+
+    function setHashLifeBusy(busy) {
+        hashLifeBusy = busy;
+        hashLifeStepBtn.disabled = busy;
+        hashLifeJumpBtn.disabled = busy;
+    }
+
+    // Runs in slices between frames, so the page stays responsive; playing,
+    // editing or changing the rule or topology meanwhile drops the result.
+    // Throws with the reason when the board can't use HashLife
+    async function runHashLife(generations) {
+        if (hashLifeBusy) return;
+        setHashLifeBusy(true);
+        try {
+            if (generation + generations > MAX_GENERATION) {
+                throw new Error(`HashLife can't go past generation ${MAX_GENERATION}, the last one the engines count.`);
+            }
+            branchTimeline();
+            const startVersion = boardVersion;
+            const startGeneration = generation;
+            const { width, height, state } = await engine.readState();
+            const problem = hashLifeProblem(state, width, height, topologyMode, currentRule);
+            if (problem) throw new Error(problem);
+
+            if (!hashLife || hashLife.rule !== currentRule) hashLife = createHashLife(currentRule);
+            showHashLifeStatus(`HashLife: running +${generations} generations...`);
+            const t0 = performance.now();
+            const universe = hashLife;
+            const topology = topologyMode;
+            const stale = () => boardVersion !== startVersion || generation !== startGeneration ||
+                currentRule !== universe.rule || topologyMode !== topology;
+            const next = await universe.stepInSlices(state, width, height, topology, generations, stale);
+            const elapsed = performance.now() - t0;
+            if (!next || stale()) {
+                showHashLifeStatus("HashLife: stopped, the board changed while it ran");
+                return;
+            }
+
+            uploadData(next, undefined, startGeneration + generations);
+            showHashLifeStatus(`HashLife: +${generations} generations in ${elapsed.toFixed(0)} ms`);
+        } finally {
+            setHashLifeBusy(false);
+        }
+    }
+
+    function hashLifeStep() {
+        return Math.max(1, parseInt(hashLifeStepInput.value) || 1);
+    }
+
+    async function runHashLifeOrReport(generations) {
+        try {
+            await runHashLife(generations);
+        } catch (err) {
+            pause();
+            hashLifeToggle.checked = false;
+            showHashLifeStatus("");
+            alert(err.message);
+        }
+    }
+
+    hashLifeStepBtn.addEventListener("click", () => {
+        pause();
+        runHashLifeOrReport(hashLifeStep());
+    });
+
+    hashLifeJumpBtn.addEventListener("click", () => {
+        pause();
+        const k = Math.min(MAX_JUMP_EXPONENT, Math.max(1, parseInt(hashLifeJumpInput.value) || 1));
+        const target = 2 ** k;
+        if (target <= generation) {
+            alert(`Generation 2^${k} = ${target} is already behind the current generation.`);
+            return;
+        }
+        runHashLifeOrReport(target - generation);
+    });
+
+    // --- Population Statistics ---
+    // Sampled after every Nth step; the samples make up the run exported as CSV
+    const populationToggle = document.getElementById("populationToggle");
+    const populationIntervalInput = document.getElementById("populationIntervalInput");
+    const exportCsvBtn = document.getElementById("exportCsvBtn");
+    const populationPanel = document.getElementById("populationPanel");
+    const populationChart = document.getElementById("populationChart");
+    const populationLegend = document.getElementById("populationLegend");
+    const populationNote = document.getElementById("populationNote");
+    const populationCtx = populationChart.getContext("2d");
+
+    // Past this the oldest samples are dropped, so a long run can't exhaust memory
+    const MAX_POPULATION_SAMPLES = 100000;
+
+    let populationEnabled = false;
+    let populationSamples = [];
+    let samplesSkipped = false; // a batch's readback was dropped because the GPU fell behind
+    let samplesTrimmed = false;
+    let statsEpoch = 0; // bumped when the board is replaced, so late readbacks are dropped
+
+    // One line per cell state in its palette colour, except dead: that is
+    // the rest of the board and would flatten the other lines
+    function populationSeries() {
+        const palette = currentPalette();
+        return [
+            ...CELL_STATES.flatMap((state, id) => id === STATE_DEAD ? [] : [
+                { name: state.label, color: palette[state.slot], value: s => s.counts[id] },
+            ]),
+            { name: "Births", color: "#66ccff", value: s => s.births },
+            { name: "Deaths", color: "#ff6666", value: s => s.deaths },
+        ];
+    }
+
+    function updatePopulationUI() {
+        exportCsvBtn.disabled = populationSamples.length === 0;
+        const series = populationSeries();
+        drawPopulationChart(populationCtx, populationSamples, series);
+
+        populationLegend.innerHTML = "";
+        const notes = [];
+        if (samplesTrimmed) notes.push(`Only the last ${MAX_POPULATION_SAMPLES} samples are kept.`);
+        if (samplesSkipped) notes.push("Some samples were skipped while readbacks fell behind.");
+        populationNote.textContent = notes.join(" ");
+        populationNote.classList.toggle("hidden", notes.length === 0);
+
+        const latest = populationSamples[populationSamples.length - 1];
+        if (!latest) return;
+
+        const b = latest.bounds;
+        const entries = [
+            ...series.map(line => [line.color, `${line.name} ${line.value(latest)}`]),
+            [null, `Density ${(density(latest) * 100).toFixed(2)}%`],
+            [null, b ? `Active ${b.minX},${b.minY}-${b.maxX},${b.maxY}` : "Active none"],
+        ];
+        for (const [color, text] of entries) {
+            const span = document.createElement("span");
+            if (color) span.style.color = color;
+            span.textContent = text;
+            populationLegend.appendChild(span);
+        }
+    }
+
+    // Adds one resolved batch and redraws once for all of it
+    function addPopulationSamples(samples) {
+        // Readbacks normally resolve in order; keep the run sorted if one doesn't
+        const last = populationSamples[populationSamples.length - 1];
+        for (const sample of samples) populationSamples.push(sample);
+        if (last && last.generation > samples[0].generation) {
+            populationSamples.sort((a, b) => a.generation - b.generation);
+        }
+        if (populationSamples.length > MAX_POPULATION_SAMPLES) {
+            populationSamples.splice(0, populationSamples.length - MAX_POPULATION_SAMPLES);
+            samplesTrimmed = true;
+        }
+        updatePopulationUI();
+    }
+
+    // After a new board, a branch or an undo: samples past the live
+    // generation belong to a discarded run
+    function discardStaleStats() {
+        statsEpoch++;
+        resetSettle();
+        const kept = populationSamples.filter(s => s.generation <= generation);
+        if (kept.length === populationSamples.length) return;
+        populationSamples = kept;
+        if (kept.length === 0) samplesSkipped = samplesTrimmed = false;
+        updatePopulationUI();
+    }
+
+    populationToggle.addEventListener("change", (e) => {
+        populationEnabled = e.target.checked;
+        populationPanel.classList.toggle("hidden", !populationEnabled);
+        updatePopulationUI();
+    });
+
+    exportCsvBtn.addEventListener("click", () => {
+        downloadBlob(`population-gen${generation}.csv`, new Blob([statsToCsv(populationSamples)], { type: "text/csv" }));
+    });
+
+    // --- Settle Detection ---
+    // Board hashes from the stats pass, checked every generation for repeats
+    const settleActionSelect = document.getElementById("settleActionSelect");
+    const settleIgnoreChaosToggle = document.getElementById("settleIgnoreChaosToggle");
+    const settleStatus = document.getElementById("settleStatus");
+
+    const settleDetector = createSettleDetector();
+    let settled = null; // { period, since } until the board changes
+
+    function resetSettle() {
+        settleDetector.reset();
+        settled = null;
+        settleStatus.textContent = "";
+        settleStatus.classList.add("hidden");
+    }
+
+    function detectSettle(sample) {
+        if (settled) return;
+        const hash = settleIgnoreChaosToggle.checked ? sample.steadyHash : sample.hash;
+        settled = settleDetector.push(sample.generation, hash);
+        if (!settled) return;
+
+        settleStatus.textContent = describeSettle(settled);
+        settleStatus.classList.remove("hidden");
+        if (settleActionSelect.value === "pause") {
+            pause();
+        } else if (settleActionSelect.value === "restart") {
+            applySeed(randomSeed());
+            resetBoard(startInit.name === "soup" ? startInit : { name: "soup", density: 0.5 });
+        }
+    }
+
+    settleActionSelect.addEventListener("change", resetSettle);
+    settleIgnoreChaosToggle.addEventListener("change", resetSettle);
+
+    // The population panel and the settle check read their samples from
+    // frame(): this picks the generations of the next batch that get one,
+    // null for none. Called once the batch is counted into `generation`.
+    // The settle check only reads the last SETTLE_WINDOW generations of a
+    // batch, so a turbo batch costs at most that many stats passes and
+    // readbacks stay small enough to keep up. The catch: a board that
+    // settled earlier in a long batch is reported from the window's start.
+    function statsSampler() {
+        const interval = Math.max(1, parseInt(populationIntervalInput.value) || 1);
+        const wantSettle = settleActionSelect.value !== "off";
+        if (!populationEnabled && !wantSettle) return null;
+        const settleFrom = generation - SETTLE_WINDOW;
+        return g => (wantSettle && g > settleFrom) || (populationEnabled && g % interval === 0);
+    }
+
+    function receiveStats(stats) {
+        const wantPopulation = populationEnabled;
+        if (!stats) {
+            // Noted once in the panel rather than per frame
+            if (wantPopulation && !samplesSkipped) {
+                samplesSkipped = true;
+                updatePopulationUI();
+            }
+            return;
+        }
+        const interval = Math.max(1, parseInt(populationIntervalInput.value) || 1);
+        const wantSettle = settleActionSelect.value !== "off";
+        const epoch = statsEpoch;
+        stats.then((samples) => {
+            const resolved = [];
+            for (const sample of samples) {
+                // A settle restart replaces the board partway through a batch
+                if (epoch !== statsEpoch) return;
+                if (wantPopulation && sample.generation % interval === 0) resolved.push(sample);
+                if (wantSettle) detectSettle(sample);
+            }
+            if (resolved.length > 0) addPopulationSamples(resolved);
+        });
+    }
+
+    // --- Object Census ---
+    // Reads the board back, then groups its objects by shape. Clicking a row
+    // jumps to the next object of that kind and outlines it on the overlay.
+    const censusBtn = document.getElementById("censusBtn");
+    const censusSummary = document.getElementById("censusSummary");
+    const censusList = document.getElementById("censusList");
+    const censusBody = document.getElementById("censusBody");
+
+    let censusHighlight = null; // object shown on the overlay
+
+    function clearCensus() {
+        censusHighlight = null;
+        censusSummary.textContent = "";
+        censusBody.innerHTML = "";
+        censusList.classList.add("hidden");
+    }
+
+    function drawCensusHighlight() {
+        overlayCtx.clearRect(0, 0, overlayCanvas.width, overlayCanvas.height);
+        if (!censusHighlight) return;
+
+        const { cellW, cellH } = cellScreenSize();
+
+        overlayCtx.fillStyle = "rgba(255, 255, 0, 0.5)";
+        for (const { x, y } of censusHighlight.cells) {
+            const p = cellToScreen(x, y);
+            overlayCtx.fillRect(p.x, p.y, cellW, cellH);
+        }
+        const p = cellToScreen(censusHighlight.x - 1, censusHighlight.y - 1);
+        overlayCtx.strokeStyle = "rgba(255, 255, 0, 0.9)";
+        overlayCtx.strokeRect(p.x, p.y, (censusHighlight.w + 2) * cellW, (censusHighlight.h + 2) * cellH);
+    }
+
+    // Centres the object with a few of its own widths around it
+    function showCensusObject(object) {
+        const extent = Math.max(object.w, object.h) + 2;
+        const newZoom = Math.min(50.0, Math.max(1.0, Math.min(gridWidth, gridHeight) / (extent * 4)));
+        applyView({
+            zoom: newZoom,
+            panX: 0.5 / newZoom - (object.x + object.w / 2) / gridWidth,
+            panY: 0.5 / newZoom - (object.y + object.h / 2) / gridHeight,
+        });
+        schedulePermalinkUpdate();
+
+        setStampActive(false);
+        setPaintTool(null);
+        setSelectActive(false);
+        censusHighlight = object;
+        drawCensusHighlight();
+    }
+
+    function showCensus(groups) {
+        const objectCount = groups.reduce((n, g) => n + g.objects.length, 0);
+        censusSummary.textContent = `${objectCount} objects, ${groups.length} kinds`;
+        censusBody.innerHTML = "";
+        censusList.classList.toggle("hidden", groups.length === 0);
+
+        for (const group of groups) {
+            const row = document.createElement("tr");
+            let next = 0;
+            const name = group.name ?? (group.key.startsWith("large:") ? "Unknown (large)" : "Unknown");
+            for (const text of [name, group.population, group.objects.length]) {
+                const cell = document.createElement("td");
+                cell.textContent = text;
+                row.appendChild(cell);
+            }
+            row.title = "Click to step through these objects";
+            row.addEventListener("click", () => {
+                censusBody.querySelectorAll("tr").forEach(r => r.classList.toggle("active", r === row));
+                showCensusObject(group.objects[next]);
+                next = (next + 1) % group.objects.length;
+            });
+            censusBody.appendChild(row);
+        }
+    }
+
+    censusBtn.addEventListener("click", async () => {
+        const { width, height, state } = await engine.readState();
+        showCensus(takeCensus(state, width, height, topologyMode, buildCensusLibrary(patterns)));
+    });
+
+    // --- Start State ---
+    // What built the current board, so a permalink can rebuild it
+    let startInit = { name: "blank" };
+    let startBoard = null;
+
+    function loadInitializer(init) {
+        uploadData(createInitialState(init, gridWidth, gridHeight, createRandom(currentSeed)));
+        startInit = init;
+        startBoard = null;
+        schedulePermalinkUpdate();
+    }
+
+    // After a hand edit the board itself becomes the start state; boards
+    // too large for a link fall back to the initializer that preceded them
+    async function captureStartBoard() {
+        const { width, height, state } = await engine.readState();
+        startBoard = compactBoard(state, width, height);
+        schedulePermalinkUpdate();
+    }
+
+    // --- Undo / Redo ---
+    const undoHistory = createUndoHistory(DEFAULT_UNDO_BUDGET_MB * 1024 * 1024);
+    let undoBusy = false;
+
+    function updateUndoButtons() {
+        undoBtn.disabled = !undoHistory.canUndo;
+        redoBtn.disabled = !undoHistory.canRedo;
+    }
+
+    async function currentBoard() {
+        const boardGeneration = generation;
+        const { width, height, state } = await engine.readState();
+        return { width, height, generation: boardGeneration, state };
+    }
+
+    // Call before every board edit: stamps, resets, resizes and loaded files
+    async function recordEdit() {
+        boardVersion++;
+        resetSettle();
+        undoHistory.record(await currentBoard());
+        updateUndoButtons();
+    }
+
+    function restoreBoard(board) {
+        if (board.width !== gridWidth || board.height !== gridHeight) {
+            selectGridSize(board.width, board.height);
+            initSimulationResources(board.width, board.height);
+        }
+        uploadData(board.state, undefined, board.generation);
+        captureStartBoard();
+    }
+
+    // One step at a time, so the board read for the opposite stack is never stale
+    async function stepUndo(redo) {
+        if (undoBusy) return;
+        undoBusy = true;
+        try {
+            const current = await currentBoard();
+            const board = redo ? undoHistory.redo(current) : undoHistory.undo(current);
+            if (board) restoreBoard(board);
+        } finally {
+            undoBusy = false;
+            updateUndoButtons();
+        }
+    }
+
+    undoBtn.addEventListener("click", () => stepUndo(false));
+    redoBtn.addEventListener("click", () => stepUndo(true));
+
+    window.addEventListener("keydown", (e) => {
+        // Text fields keep their own undo
+        if (e.target.matches("input[type=text], input[type=number], textarea")) return;
+        if (!(e.ctrlKey || e.metaKey)) return;
+
+        const key = e.key.toLowerCase();
+        if (key === "z") {
+            e.preventDefault();
+            stepUndo(e.shiftKey);
+        } else if (key === "y") {
+            e.preventDefault();
+            stepUndo(true);
+        }
+    });
+
+    undoBudgetInput.addEventListener("change", (e) => {
+        let mb = parseFloat(e.target.value);
+        if (!(mb >= 0)) mb = DEFAULT_UNDO_BUDGET_MB;
+        e.target.value = mb;
+        undoHistory.setBudget(mb * 1024 * 1024);
+        updateUndoButtons();
+    });
+
+    async function resetBoard(init) {
+        await recordEdit();
+        loadInitializer(init);
     }
 
+    // --- Seed ---
+    // Drives the soup and the per-generation chaos draws, so equal seeds replay identically
+    let currentSeed = 0;
+
+    function applySeed(seed) {
+        currentSeed = seed;
+        seedInput.value = seed;
+        seedInput.classList.remove("invalid");
+        seedInput.title = "";
+        engine.setSeed(seed);
+    }
+
+    // A soup start is rebuilt from the new seed; other boards only draw their chaos differently
+    function changeSeed(seed) {
+        applySeed(seed);
+        if (startInit.name === "soup" && !startBoard) {
+            resetBoard(startInit);
+        } else {
+            schedulePermalinkUpdate();
+        }
+    }
+
+    seedInput.addEventListener("input", () => {
+        try {
+            parseSeed(seedInput.value);
+            seedInput.classList.remove("invalid");
+            seedInput.title = "";
+        } catch (err) {
+            seedInput.classList.add("invalid");
+            seedInput.title = err.message;
+        }
+    });
+
+    seedInput.addEventListener("change", () => {
+        try {
+            changeSeed(parseSeed(seedInput.value));
+        } catch (err) {
+            seedInput.classList.add("invalid");
+            seedInput.title = err.message;
+        }
+    });
+
+    rerollSeedBtn.addEventListener("click", () => {
+        changeSeed(randomSeed());
+    });
+
     // --- Event Listeners ---
     playPauseBtn.addEventListener("click", () => {
+        branchTimeline();
         isPlaying = !isPlaying;
         playPauseBtn.textContent = isPlaying ? "Pause" : "Play";
     });
@@ -631,11 +2000,13 @@ async function init() {
     trailsToggle.addEventListener("change", (e) => {
         trailsActive = e.target.checked;
         updateHistoryUniforms();
+        schedulePermalinkUpdate();
     });
 
     decayRange.addEventListener("input", (e) => {
         decayValue = parseFloat(e.target.value);
         updateHistoryUniforms();
+        schedulePermalinkUpdate();
     });
 
     statsToggle.addEventListener("change", (e) => {
@@ -645,92 +2016,734 @@ async function init() {
         }
     });
 
+    // --- Grid Size ---
+    RESIZE_ANCHORS.forEach((anchor) => {
+        const option = document.createElement("option");
+        option.value = anchor.id;
+        option.textContent = anchor.name;
+        resizeAnchorSelect.appendChild(option);
+    });
+    resizeAnchorSelect.value = "center";
+    gridWidthInput.max = engine.maxGridSize;
+    gridHeightInput.max = engine.maxGridSize;
+
+    // Both sides are capped by the engine (maxTextureDimension2D on the GPU)
+    function checkGridSize(width, height) {
+        const max = engine.maxGridSize;
+        if (!Number.isInteger(width) || !Number.isInteger(height) || width < 1 || height < 1 || width > max || height > max) {
+            throw new Error(`Grid size must be between 1x1 and ${max}x${max}, got ${width}x${height}.`);
+        }
+    }
+
+    // Shows the size in the inputs, and in the preset list when it is one
+    function selectGridSize(width, height) {
+        gridWidthInput.value = width;
+        gridHeightInput.value = height;
+        const preset = `${width}x${height}`;
+        gridSizeSelect.value = [...gridSizeSelect.options].some(o => o.value === preset) ? preset : "custom";
+    }
+
+    // Keeps the board, placed on the new grid by the chosen anchor
+    async function resizeGrid(width, height) {
+        checkGridSize(width, height);
+        if (width === gridWidth && height === gridHeight) return;
+        await recordEdit();
+
+        const anchor = RESIZE_ANCHORS.find(a => a.id === resizeAnchorSelect.value);
+        const old = await engine.readState();
+        const boardGeneration = generation;
+        initSimulationResources(width, height);
+        uploadData(
+            resizePlane(old.state, old.width, old.height, width, height, anchor),
+            resizePlane(old.history, old.width, old.height, width, height, anchor),
+            boardGeneration
+        );
+        captureStartBoard();
+
+        applyView({ zoom: 1.0, panX: 0.0, panY: 0.0 });
+        schedulePermalinkUpdate();
+    }
+
+    async function applyGridSizeInputs() {
+        try {
+            await resizeGrid(parseInt(gridWidthInput.value), parseInt(gridHeightInput.value));
+        } catch (err) {
+            alert(err.message);
+        }
+        selectGridSize(gridWidth, gridHeight);
+    }
+
     gridSizeSelect.addEventListener("change", (e) => {
-        const newSize = parseInt(e.target.value);
-        initSimulationResources(newSize);
-        zoom = 1.0;
-        panX = 0.0;
-        panY = 0.0;
+        if (e.target.value === "custom") {
+            gridWidthInput.focus();
+            return;
+        }
+        const [width, height] = e.target.value.split("x");
+        gridWidthInput.value = width;
+        gridHeightInput.value = height;
+        applyGridSizeInputs();
+    });
+
+    gridWidthInput.addEventListener("change", applyGridSizeInputs);
+    gridHeightInput.addEventListener("change", applyGridSizeInputs);
+
+    viewFitSelect.addEventListener("change", (e) => {
+        viewFitMode = e.target.value;
         updateViewUniforms();
+        redrawOverlay();
     });
 
-    randomSoupBtn.addEventListener("click", () => {
-        const data = new Float32Array(gridSize * gridSize);
-        for (let i = 0; i < gridSize * gridSize; i++) {
-            data[i] = Math.random() > 0.5 ? 1.0 : 0.0;
+    RULE_PRESETS.forEach((preset) => {
+        const option = document.createElement("option");
+        option.value = preset.rule;
+        option.label = preset.name;
+        rulePresetList.appendChild(option);
+    });
+
+    // Validate while typing, apply on commit (Enter / blur / datalist pick)
+    ruleInput.addEventListener("input", () => {
+        try {
+            parseRule(ruleInput.value);
+            ruleInput.classList.remove("invalid");
+            ruleInput.title = "";
+        } catch (err) {
+            ruleInput.classList.add("invalid");
+            ruleInput.title = err.message;
         }
-        uploadData(data);
     });
 
-    crossBtn.addEventListener("click", () => {
-        const data = new Float32Array(gridSize * gridSize);
-        data.fill(0.0);
-        const mid = Math.floor(gridSize / 2);
-        for (let i = 0; i < gridSize; i++) {
-            data[mid * gridSize + i] = 2.0;
-            data[i * gridSize + mid] = 2.0;
+    ruleInput.addEventListener("change", () => {
+        try {
+            currentRule = parseRule(ruleInput.value);
+        } catch (err) {
+            ruleInput.classList.add("invalid");
+            ruleInput.title = err.message;
+            return;
         }
-        uploadData(data);
+        ruleInput.value = currentRule.rulestring;
+        ruleInput.classList.remove("invalid");
+        ruleInput.title = "";
+        updateRuleUniforms();
+        schedulePermalinkUpdate();
+    });
+
+    TOPOLOGIES.forEach((t, index) => {
+        const option = document.createElement("option");
+        option.value = index;
+        option.textContent = t.name;
+        topologySelect.appendChild(option);
+    });
+    topologySelect.value = topologyMode;
+
+    topologySelect.addEventListener("change", (e) => {
+        topologyMode = parseInt(e.target.value);
+        updateTopologyUniforms();
+        overlayCtx.clearRect(0, 0, overlayCanvas.width, overlayCanvas.height);
+        schedulePermalinkUpdate();
+    });
+
+    randomSoupBtn.addEventListener("click", () => {
+        resetBoard({ name: "soup", density: 0.5 });
+    });
+
+    crossBtn.addEventListener("click", () => {
+        resetBoard({ name: "cross" });
     });
 
     dotBtn.addEventListener("click", () => {
-        const data = new Float32Array(gridSize * gridSize);
-        data.fill(0.0);
-        const mid = Math.floor(gridSize / 2);
-        const r = 2;
-        for (let y = mid - r; y <= mid + r; y++) {
-            for (let x = mid - r; x <= mid + r; x++) {
-                data[y * gridSize + x] = 2.0;
+        resetBoard({ name: "dot" });
+    });
+
+    yinYangBtn.addEventListener("click", () => {
+        resetBoard({ name: "yinyang" });
+    });
+
+    // --- Pattern Import / Export ---
+    let patternFileName = "";
+
+    function downloadBlob(filename, blob) {
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement("a");
+        a.href = url;
+        a.download = filename;
+        a.click();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    function readPatternText() {
+        try {
+            return parsePattern(patternText.value, patternFileName || "Imported");
+        } catch (err) {
+            alert(err.message);
+            return null;
+        }
+    }
+
+    PATTERN_FORMATS.forEach((f) => {
+        const option = document.createElement("option");
+        option.value = f.id;
+        option.textContent = f.name;
+        exportFormatSelect.appendChild(option);
+    });
+
+    patternOpenBtn.addEventListener("click", () => patternFileInput.click());
+
+    patternFileInput.addEventListener("change", async () => {
+        const file = patternFileInput.files[0];
+        if (!file) return;
+        patternFileName = file.name.replace(/\.[^.]+$/, "");
+        patternText.value = await file.text();
+        patternFileInput.value = "";
+    });
+
+    patternText.addEventListener("input", () => {
+        patternFileName = "";
+    });
+
+    patternAddStampBtn.addEventListener("click", () => {
+        const pattern = readPatternText();
+        if (!pattern) return;
+
+        addCustomStamp(pattern);
+    });
+
+    // Centres the pattern on a blank board, clipping what does not fit.
+    // Clipping and an unusable rule are reported once the board is loaded.
+    patternLoadBoardBtn.addEventListener("click", async () => {
+        const pattern = readPatternText();
+        if (!pattern) return;
+        await recordEdit();
+
+        const notes = [];
+        if (pattern.w > gridWidth || pattern.h > gridHeight) {
+            notes.push(`The pattern is ${pattern.w}x${pattern.h}, so it was clipped to the ${gridWidth}x${gridHeight} grid.`);
+        }
+
+        const data = new Float32Array(gridWidth * gridHeight);
+        const offsetX = Math.floor((gridWidth - pattern.w) / 2);
+        const offsetY = Math.floor((gridHeight - pattern.h) / 2);
+        for (let py = 0; py < pattern.h; py++) {
+            for (let px = 0; px < pattern.w; px++) {
+                const x = px + offsetX;
+                const y = py + offsetY;
+                if (x < 0 || y < 0 || x >= gridWidth || y >= gridHeight) continue;
+                data[y * gridWidth + x] = pattern.data[py * pattern.w + px];
             }
         }
+
+        // A rule named in the file comes along with the board
+        if (pattern.rule) {
+            try {
+                currentRule = parseRule(pattern.rule);
+                ruleInput.value = currentRule.rulestring;
+                updateRuleUniforms();
+            } catch (err) {
+                notes.push(`The pattern's rule was ignored: ${err.message}`);
+            }
+        }
+
         uploadData(data);
+        captureStartBoard();
+        if (notes.length > 0) alert(notes.join("\n"));
     });
 
-    yinYangBtn.addEventListener("click", () => {
-        const data = new Float32Array(gridSize * gridSize);
-        const mid = gridSize / 2;
-        const R = gridSize / 3;
-        const r_dot = R / 5;
-
-        for (let y = 0; y < gridSize; y++) {
-            for (let x = 0; x < gridSize; x++) {
-                const dx = x - mid;
-                const dy = y - mid;
-                const dist = Math.sqrt(dx * dx + dy * dy);
-
-                if (dist > R) {
-                    data[y * gridSize + x] = 2.0;
-                    continue;
+    // Bounding box of every non-dead cell, or null for an empty board
+    function activeBounds(state, width, height) {
+        let minX = width, minY = height, maxX = -1, maxY = -1;
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                if (state[y * width + x] > 0.5) {
+                    if (x < minX) minX = x;
+                    if (x > maxX) maxX = x;
+                    if (y < minY) minY = y;
+                    if (y > maxY) maxY = y;
                 }
+            }
+        }
+        return maxX < 0 ? null : { x: minX, y: minY, w: maxX - minX + 1, h: maxY - minY + 1 };
+    }
 
-                const d_top = Math.sqrt(dx * dx + (dy + R / 2) ** 2);
-                const d_bot = Math.sqrt(dx * dx + (dy - R / 2) ** 2);
+    // Saves a board snapshot (from engine.readState) or a region of it, in
+    // world cells like the selection
+    function downloadPattern(format, name, snapshot, region) {
+        const { width, height, state } = snapshot;
+        const area = region || { x: 0, y: 0, w: width, h: height };
+        const cells = region ? copyRegion(state, width, height, region, topologyMode).data : state;
+
+        let text;
+        try {
+            text = encodePattern(format, cells, area.w, area.h, currentRule.rulestring, name);
+        } catch (err) {
+            alert(err.message);
+            return;
+        }
 
-                if (d_top < r_dot) {
-                    data[y * gridSize + x] = 4.0;
-                } else if (d_bot < r_dot) {
-                    data[y * gridSize + x] = 3.0;
-                }
-                else if (d_top < R / 2) {
-                    data[y * gridSize + x] = 0.0;
-                } else if (d_bot < R / 2) {
-                    data[y * gridSize + x] = 1.0;
-                }
-                else if (dx > 0) {
-                    data[y * gridSize + x] = 1.0;
-                } else {
-                    data[y * gridSize + x] = 0.0;
-                }
+        const extension = PATTERN_FORMATS.find(f => f.id === format).extension;
+        downloadBlob(`${name}.${extension}`, new Blob([text], { type: "text/plain" }));
+    }
+
+    // Crop exports the selection while the select tool shows one, otherwise
+    // the bounding box of the live cells
+    exportBoardBtn.addEventListener("click", async () => {
+        const name = `board-gen${generation}`;
+        const snapshot = await engine.readState();
+        let region = null;
+        if (exportCropToggle.checked) {
+            region = isSelectActive && selection ? selection : activeBounds(snapshot.state, snapshot.width, snapshot.height);
+            if (!region) {
+                alert("The board is empty.");
+                return;
             }
         }
-        uploadData(data);
+        downloadPattern(exportFormatSelect.value, name, snapshot, region);
     });
 
-    fpsCapInput.addEventListener("change", (e) => {
-        let val = parseInt(e.target.value);
+    // --- World Snapshots ---
+    function currentPalette() {
+        return Object.fromEntries(PALETTE_SLOTS.map(slot => [slot, paletteInputs[slot].value]));
+    }
+
+    saveWorldBtn.addEventListener("click", async () => {
+        // Taken before the read: frames keep running while it is pending
+        const boardGeneration = generation;
+        const { width, height, state, history } = await engine.readState();
+        const text = await encodeSnapshot({
+            width,
+            height,
+            generation: boardGeneration,
+            seed: currentSeed,
+            rule: currentRule.rulestring,
+            topology: TOPOLOGIES[topologyMode].id,
+            palette: currentPalette(),
+            trails: { active: trailsActive, decay: decayValue },
+            view: { zoom, panX, panY },
+            state,
+            history,
+        });
+        downloadBlob(`world-gen${boardGeneration}.json`, new Blob([text], { type: "application/json" }));
+    });
+
+    // Setters shared by world snapshots and permalinks
+    function applyRule(rule) {
+        currentRule = rule;
+        ruleInput.value = rule.rulestring;
+        ruleInput.classList.remove("invalid");
+        ruleInput.title = "";
+        updateRuleUniforms();
+    }
+
+    function applyTopology(mode) {
+        topologyMode = mode;
+        topologySelect.value = mode;
+        updateTopologyUniforms();
+    }
+
+    // Worlds and links saved before a cell state was added have no colour for it
+    function applyPalette(palette) {
+        for (const slot of PALETTE_SLOTS) {
+            paletteInputs[slot].value = (palette[slot] ?? DEFAULT_PALETTE[slot]).toLowerCase();
+        }
+        handleColorChange();
+    }
+
+    function applyTrails(active, decay) {
+        trailsActive = active;
+        decayValue = decay;
+        trailsToggle.checked = trailsActive;
+        decayRange.value = decayValue;
+        updateHistoryUniforms();
+    }
+
+    function applyView(view) {
+        zoom = view.zoom;
+        panX = view.panX;
+        panY = view.panY;
+        updateViewUniforms();
+    }
+
+    // decodeSnapshot has checked the rest of the world; the grid size, rule,
+    // topology and seed are checked here, before anything is applied, so a
+    // bad file leaves the app untouched
+    async function applyWorld(world) {
+        checkGridSize(world.width, world.height);
+        const rule = parseRule(world.rule);
+        const topology = topologyIndex(world.topology);
+        const seed = parseSeed(world.seed);
+        await recordEdit();
+
+        applySeed(seed);
+        applyRule(rule);
+        applyTopology(topology);
+        applyPalette(world.palette);
+        applyTrails(world.trails.active, world.trails.decay);
+
+        selectGridSize(world.width, world.height);
+        initSimulationResources(world.width, world.height);
+        uploadData(world.state, world.history, world.generation);
+
+        applyView(world.view);
+        captureStartBoard();
+    }
+
+    loadWorldBtn.addEventListener("click", () => worldFileInput.click());
+
+    worldFileInput.addEventListener("change", async () => {
+        const file = worldFileInput.files[0];
+        if (!file) return;
+        worldFileInput.value = "";
+        try {
+            await applyWorld(await decodeSnapshot(await file.text()));
+        } catch (err) {
+            alert(err.message);
+        }
+    });
+
+    // --- Screenshots and Recording ---
+    // Both work from readState, so they show cells rather than the view:
+    // one pixel per cell, scaled by whole pixels, in the current palette.
+    // Recordings take one frame per generation, however fast it is displayed.
+    const captureScaleInput = document.getElementById("captureScaleInput");
+    const screenshotBtn = document.getElementById("screenshotBtn");
+    const recordFormatSelect = document.getElementById("recordFormatSelect");
+    const recordLimitInput = document.getElementById("recordLimitInput");
+    const recordBtn = document.getElementById("recordBtn");
+    const recordProgressRow = document.getElementById("recordProgressRow");
+    const recordProgress = document.getElementById("recordProgress");
+    const recordStatus = document.getElementById("recordStatus");
+
+    const cellCanvas = document.createElement("canvas");
+    const cellCtx = cellCanvas.getContext("2d");
+    const screenshotCanvas = document.createElement("canvas");
+    const recordCanvas = document.createElement("canvas"); // kept apart so a screenshot can't resize a video
+
+    // { format, limit, requested, frames, chain, encoder | mediaRecorder + track }
+    let recorder = null;
+
+    function captureScale() {
+        return Math.min(16, Math.max(1, parseInt(captureScaleInput.value) || 1));
+    }
+
+    // Draws a board from readState onto the target canvas
+    function renderCapture({ width, height, state, history }, scale, target) {
+        cellCanvas.width = width;
+        cellCanvas.height = height;
+        const image = cellCtx.createImageData(width, height);
+        colorizeCells(state, history, paletteToFloats(currentPalette()), image.data);
+        cellCtx.putImageData(image, 0, 0);
+
+        if (target.width !== width * scale || target.height !== height * scale) {
+            target.width = width * scale;
+            target.height = height * scale;
+        }
+        const ctx = target.getContext("2d");
+        ctx.imageSmoothingEnabled = false;
+        ctx.drawImage(cellCanvas, 0, 0, width * scale, height * scale);
+        return ctx;
+    }
+
+    screenshotBtn.addEventListener("click", async () => {
+        const name = `board-gen${generation}.png`;
+        renderCapture(await engine.readState(), captureScale(), screenshotCanvas);
+        screenshotCanvas.toBlob(blob => downloadBlob(name, blob), "image/png");
+    });
+
+    function updateRecordUI() {
+        recordBtn.textContent = recorder ? "Stop" : "Record";
+        recordFormatSelect.disabled = !!recorder;
+        recordProgressRow.classList.toggle("hidden", !recorder);
+        if (!recorder) return;
+        recordProgress.max = recorder.limit;
+        recordProgress.value = recorder.frames;
+        recordStatus.textContent = `${recorder.frames} / ${recorder.limit} frames`;
+    }
+
+    function startRecording() {
+        const format = recordFormatSelect.value;
+        const limit = Math.max(1, parseInt(recordLimitInput.value) || 1);
+        const scale = captureScale();
+        const rec = { format, limit, scale, requested: 0, frames: 0, chain: Promise.resolve(), startGeneration: generation };
+
+        if (format === "webm") {
+            if (typeof MediaRecorder === "undefined" || !recordCanvas.captureStream) {
+                throw new Error("This browser cannot record WebM video, try GIF instead.");
+            }
+            // Frames are pushed by hand, one per generation
+            recordCanvas.width = gridWidth * scale;
+            recordCanvas.height = gridHeight * scale;
+            const stream = recordCanvas.captureStream(0);
+            const chunks = [];
+            rec.track = stream.getVideoTracks()[0];
+            rec.mediaRecorder = new MediaRecorder(stream, { mimeType: "video/webm" });
+            rec.mediaRecorder.addEventListener("dataavailable", e => chunks.push(e.data));
+            rec.mediaRecorder.addEventListener("stop", () => {
+                downloadBlob(`run-gen${rec.startGeneration}.webm`, new Blob(chunks, { type: "video/webm" }));
+            });
+            rec.mediaRecorder.start();
+        } else {
+            // GIF delays are in hundredths of a second; browsers clamp anything below 2
+            const delay = Math.max(2, Math.round(fpsInterval / 10));
+            rec.encoder = createGifEncoder(gridWidth * scale, gridHeight * scale, delay);
+        }
+
+        recorder = rec;
+        updateRecordUI();
+        captureFrame();
+    }
+
+    // The frame is read now and encoded in order once the readback arrives
+    function captureFrame() {
+        const rec = recorder;
+        if (!rec || rec.requested >= rec.limit) return;
+        rec.requested++;
+
+        const reading = engine.readState();
+        rec.chain = rec.chain.then(async () => {
+            const ctx = renderCapture(await reading, rec.scale, recordCanvas);
+            if (rec.encoder) {
+                rec.encoder.addFrame(ctx.getImageData(0, 0, recordCanvas.width, recordCanvas.height).data);
+            } else {
+                rec.track.requestFrame();
+            }
+            rec.frames++;
+            if (recorder !== rec) return;
+            updateRecordUI();
+            if (rec.frames >= rec.limit) stopRecording();
+        });
+    }
+
+    // Frames already read back are still encoded before the file is saved
+    function stopRecording() {
+        const rec = recorder;
+        if (!rec) return;
+        recorder = null;
+        updateRecordUI();
+
+        rec.chain.then(() => {
+            if (rec.encoder) {
+                downloadBlob(`run-gen${rec.startGeneration}.gif`, new Blob([rec.encoder.finish()], { type: "image/gif" }));
+            } else {
+                rec.mediaRecorder.stop();
+            }
+        });
+    }
+
+    recordBtn.addEventListener("click", () => {
+        if (recorder) {
+            stopRecording();
+            return;
+        }
+        try {
+            startRecording();
+        } catch (err) {
+            alert(err.message);
+        }
+    });
+
+    // --- Activity Heatmap ---
+    // The engine counts births, deaths and state flips per cell for every
+    // generation after the chosen start; the heatmap shows one of the counts
+    // over the board. Exports read the counts back, one pixel or row per cell.
+    const activityToggle = document.getElementById("activityToggle");
+    const activitySinceInput = document.getElementById("activitySinceInput");
+    const activityRestartBtn = document.getElementById("activityRestartBtn");
+    const heatmapToggle = document.getElementById("heatmapToggle");
+    const heatmapMetricSelect = document.getElementById("heatmapMetricSelect");
+    const heatmapScaleSelect = document.getElementById("heatmapScaleSelect");
+    const heatmapPngBtn = document.getElementById("heatmapPngBtn");
+    const activityCsvBtn = document.getElementById("activityCsvBtn");
+    const activityBinaryBtn = document.getElementById("activityBinaryBtn");
+
+    ACTIVITY_METRICS.forEach((metric, index) => {
+        const option = document.createElement("option");
+        option.value = index;
+        option.textContent = metric.name;
+        heatmapMetricSelect.appendChild(option);
+    });
+    heatmapMetricSelect.value = ACTIVITY_METRICS.findIndex(m => m.id === "flips");
+
+    // Starts the counts over; a start past the live generation waits for it
+    function applyActivity() {
+        try {
+            engine.setActivity(activityToggle.checked, Math.max(0, parseInt(activitySinceInput.value) || 0));
+        } catch (err) {
+            activityToggle.checked = false;
+            alert(err.message);
+        }
+        for (const btn of [heatmapPngBtn, activityCsvBtn, activityBinaryBtn]) {
+            btn.disabled = !activityToggle.checked;
+        }
+    }
+
+    function updateHeatmap() {
+        engine.setHeatmap(heatmapToggle.checked, parseInt(heatmapMetricSelect.value), heatmapScaleSelect.value === "log");
+    }
+
+    activityToggle.addEventListener("change", applyActivity);
+    activitySinceInput.addEventListener("change", applyActivity);
+    activityRestartBtn.addEventListener("click", () => {
+        activitySinceInput.value = generation;
+        applyActivity();
+    });
+    heatmapToggle.addEventListener("change", updateHeatmap);
+    heatmapMetricSelect.addEventListener("change", updateHeatmap);
+    heatmapScaleSelect.addEventListener("change", updateHeatmap);
+
+    function activityFileName(extension) {
+        const metric = extension === "png" ? `-${ACTIVITY_METRICS[parseInt(heatmapMetricSelect.value)].id}` : "";
+        return `activity${metric}-gen${generation}.${extension}`;
+    }
+
+    heatmapPngBtn.addEventListener("click", async () => {
+        const name = activityFileName("png");
+        const activity = await engine.readActivity();
+        const scale = captureScale();
+        cellCanvas.width = activity.width;
+        cellCanvas.height = activity.height;
+        const image = cellCtx.createImageData(activity.width, activity.height);
+        heatmapImage(activity, parseInt(heatmapMetricSelect.value), heatmapScaleSelect.value === "log", image.data);
+        cellCtx.putImageData(image, 0, 0);
+
+        screenshotCanvas.width = activity.width * scale;
+        screenshotCanvas.height = activity.height * scale;
+        const ctx = screenshotCanvas.getContext("2d");
+        ctx.imageSmoothingEnabled = false;
+        ctx.drawImage(cellCanvas, 0, 0, screenshotCanvas.width, screenshotCanvas.height);
+        screenshotCanvas.toBlob(blob => downloadBlob(name, blob), "image/png");
+    });
+
+    activityCsvBtn.addEventListener("click", async () => {
+        const name = activityFileName("csv");
+        const activity = await engine.readActivity();
+        downloadBlob(name, new Blob([activityToCsv(activity)], { type: "text/csv" }));
+    });
+
+    activityBinaryBtn.addEventListener("click", async () => {
+        const name = activityFileName("bin");
+        const activity = await engine.readActivity();
+        downloadBlob(name, new Blob([activityToBinary(activity)], { type: "application/octet-stream" }));
+    });
+
+    // --- Permalinks ---
+    let permalinkTimer = null;
+
+    function permalinkSetup() {
+        return {
+            size: { width: gridWidth, height: gridHeight },
+            rule: currentRule.rulestring,
+            topology: TOPOLOGIES[topologyMode].id,
+            init: formatInitializer(startInit),
+            seed: currentSeed,
+            board: startBoard,
+            fps: Math.round(1000 / fpsInterval),
+            trails: { active: trailsActive, decay: decayValue },
+            palette: currentPalette(),
+            view: { zoom, panX, panY },
+        };
+    }
+
+    // Debounced so panning or dragging a slider doesn't rewrite the URL every frame.
+    // replaceState keeps the back button usable and doesn't fire hashchange.
+    function schedulePermalinkUpdate() {
+        clearTimeout(permalinkTimer);
+        permalinkTimer = setTimeout(() => {
+            window.history.replaceState(null, "", `#${encodePermalink(permalinkSetup())}`);
+        }, 300);
+    }
+
+    // Validated up front like applyWorld; keys missing from the link keep the current settings
+    async function applyPermalink(setup) {
+        const rule = setup.rule !== undefined ? parseRule(setup.rule) : currentRule;
+        const topology = setup.topology !== undefined ? topologyIndex(setup.topology) : topologyMode;
+        const size = setup.size ?? { width: gridWidth, height: gridHeight };
+        checkGridSize(size.width, size.height);
+        const board = setup.board !== undefined ? expandBoard(setup.board, size.width, size.height) : null;
+        const init = setup.init !== undefined ? parseInitializer(setup.init) : { name: "blank" };
+        await recordEdit();
+
+        applySeed(setup.seed ?? randomSeed());
+        applyRule(rule);
+        applyTopology(topology);
+        if (setup.palette) applyPalette(setup.palette);
+        applyTrails(setup.trailsActive ?? trailsActive, setup.decay ?? decayValue);
+        if (setup.fps) setFpsCap(setup.fps);
+
+        selectGridSize(size.width, size.height);
+        initSimulationResources(size.width, size.height);
+        if (board) {
+            uploadData(board);
+            startBoard = setup.board;
+        } else {
+            loadInitializer(init);
+        }
+
+        applyView(setup.view ?? { zoom: 1.0, panX: 0.0, panY: 0.0 });
+        schedulePermalinkUpdate();
+    }
+
+    async function loadPermalink() {
+        if (!location.hash) return;
+        try {
+            await applyPermalink(decodePermalink(location.hash));
+        } catch (err) {
+            alert(err.message);
+        }
+    }
+
+    window.addEventListener("hashchange", loadPermalink);
+
+    function setFpsCap(val) {
         if (val < 1) val = 1;
         if (val > 144) val = 144;
+        fpsCapInput.value = val;
         fpsInterval = 1000 / val;
+    }
+
+    fpsCapInput.addEventListener("change", (e) => {
+        setFpsCap(parseInt(e.target.value));
+        schedulePermalinkUpdate();
+    });
+
+    // --- Turbo ---
+    // Several generations per displayed frame, batched into one submission.
+    // The batch limit follows the measured work per generation so a frame
+    // stays within the budget.
+    const turboModeSelect = document.getElementById("turboModeSelect");
+    const turboValueInput = document.getElementById("turboValueInput");
+    const frameBudgetInput = document.getElementById("frameBudgetInput");
+    const turboStatus = document.getElementById("turboStatus");
+
+    const MAX_BATCH = 4096;
+    let batchLimit = 1;
+    let owedGenerations = 0; // gens/sec: generations due but not computed yet
+    let lastBatch = 0;
+
+    // Generations to compute this frame; `sinceLast` is the time since the previous one
+    function batchSize(sinceLast) {
+        const mode = turboModeSelect.value;
+        // Recordings take one frame per generation
+        if (mode === "off" || recorder) return 1;
+
+        const value = Math.max(1, parseInt(turboValueInput.value) || 1);
+        if (mode === "perFrame") return Math.min(value, Math.floor(batchLimit));
+
+        // At most a second behind, so a slow stretch isn't followed by a burst
+        owedGenerations = Math.min(owedGenerations + value * sinceLast / 1000, value);
+        const steps = Math.min(Math.floor(owedGenerations), Math.floor(batchLimit));
+        owedGenerations -= steps;
+        return steps;
+    }
+
+    function adaptBatch(steps, work) {
+        work.then((ms) => {
+            const budget = Math.max(1, parseFloat(frameBudgetInput.value) || 1);
+            const target = budget / Math.max(ms / steps, 1e-3);
+            batchLimit = Math.min(MAX_BATCH, Math.max(1, batchLimit * 0.7 + target * 0.3));
+        });
+    }
+
+    turboModeSelect.addEventListener("change", () => {
+        owedGenerations = 0;
+        turboStatus.textContent = "";
     });
 
     toggleMenuBtn.addEventListener("click", () => {
@@ -739,32 +2752,15 @@ async function init() {
     });
 
     function handleColorChange() {
-        updatePalette(
-            colorBgInput.value,
-            colorFgInput.value,
-            colorChaosInput.value,
-            colorAlwaysDeadInput.value,
-            colorAlwaysAliveInput.value,
-            colorTrailInput.value
-        );
+        updatePalette(currentPalette());
+        schedulePermalinkUpdate();
     }
 
-    colorBgInput.addEventListener("input", handleColorChange);
-    colorFgInput.addEventListener("input", handleColorChange);
-    colorChaosInput.addEventListener("input", handleColorChange);
-    colorAlwaysDeadInput.addEventListener("input", handleColorChange);
-    colorAlwaysAliveInput.addEventListener("input", handleColorChange);
-    colorTrailInput.addEventListener("input", handleColorChange);
+    for (const input of Object.values(paletteInputs)) {
+        input.addEventListener("input", handleColorChange);
+    }
 
-    systemPresetBtn.addEventListener("click", () => {
-        colorBgInput.value = "#29AE93";
-        colorFgInput.value = "#00FFCC";
-        colorChaosInput.value = "#FFA500";
-        colorAlwaysDeadInput.value = "#003300";
-        colorAlwaysAliveInput.value = "#CCFFCC";
-        colorTrailInput.value = "#FF00FF";
-        updatePalette("#29AE93", "#00FFCC", "#FFA500", "#003300", "#CCFFCC", "#FF00FF");
-    });
+    systemPresetBtn.addEventListener("click", () => applyPalette(DEFAULT_PALETTE));
 
     // --- Resize Handling ---
     function resize() {
@@ -776,24 +2772,31 @@ async function init() {
             canvas.height = displayHeight;
             overlayCanvas.width = displayWidth;
             overlayCanvas.height = displayHeight;
+            gridCanvas.width = displayWidth;
+            gridCanvas.height = displayHeight;
+            // The letterbox follows the window's aspect
+            updateViewUniforms();
+            redrawOverlay();
         }
     }
     window.addEventListener('resize', resize);
     resize();
 
     // --- Simulation Loop ---
+    // Runs continuously; while paused it only redraws
     function frame() {
         requestAnimationFrame(frame);
 
         const now = performance.now();
         const elapsed = now - then;
 
-        device.queue.writeBuffer(timeBuffer, 0, new Float32Array([now / 1000.0]));
-
         if (now - lastTime >= 1000) {
             if (!statsEnabled) {
                 fpsElem.textContent = `FPS: ${frameCount}`;
             }
+            if (turboModeSelect.value !== "off") {
+                turboStatus.textContent = `${lastBatch} gens/frame`;
+            }
             frameCount = 0;
             lastTime = now;
         }
@@ -801,111 +2804,56 @@ async function init() {
         if (isPlaying && elapsed < fpsInterval) {
             // Skip
         } else {
-            if (isPlaying) {
-                then = now - (elapsed % fpsInterval);
-                generation++;
-                genElem.textContent = `Gen: ${generation}`;
-                frameCount++;
+            // Playing with HashLife jumps from the frame loop instead of stepping the engine
+            const hashLifePlay = isPlaying && hashLifeToggle.checked;
+            let steps = 0;
+            if (stepRequested) {
+                steps = 1;
+            } else if (isPlaying && !hashLifePlay) {
+                steps = batchSize(now - lastStepTime);
             }
-
-            const commandEncoder = device.createCommandEncoder();
+            stepRequested = false;
+            if (hashLifePlay) runHashLifeOrReport(hashLifeStep());
 
             if (isPlaying) {
-                // 1. Compute Pass
-                const computePassDescriptor = {
-                    layout: "auto",
-                    compute: {
-                        module: shaderModule,
-                        entryPoint: "computeMain",
-                    },
-                };
-
-                if (statsEnabled && canProfile) {
-                    computePassDescriptor.timestampWrites = {
-                        querySet: querySet,
-                        beginningOfPassWriteIndex: 0,
-                        endOfPassWriteIndex: 1,
-                    };
-                }
-
-                const computePass = commandEncoder.beginComputePass(computePassDescriptor);
-                computePass.setPipeline(computePipeline);
-                computePass.setBindGroup(0, useTextureA ? computeBindGroupA : computeBindGroupB);
-                computePass.dispatchWorkgroups(Math.ceil(gridSize / WORKGROUP_SIZE), Math.ceil(gridSize / WORKGROUP_SIZE));
-                computePass.end();
-
-                // 2. History Pass
-                const historyPass = commandEncoder.beginComputePass();
-                historyPass.setPipeline(historyPipeline);
-                historyPass.setBindGroup(0, useTextureA ? historyBindGroupB : historyBindGroupA);
-                historyPass.dispatchWorkgroups(Math.ceil(gridSize / WORKGROUP_SIZE), Math.ceil(gridSize / WORKGROUP_SIZE));
-                historyPass.end();
-            }
-
-            const textureView = context.getCurrentTexture().createView();
-            const renderPassDescriptor = {
-                colorAttachments: [{
-                    view: textureView,
-                    clearValue: { r: 0.0, g: 0.0, b: 0.0, a: 1 },
-                    loadOp: "clear",
-                    storeOp: "store",
-                }],
-            };
-
-            if (statsEnabled && canProfile) {
-                renderPassDescriptor.timestampWrites = {
-                    querySet: querySet,
-                    beginningOfPassWriteIndex: 2,
-                    endOfPassWriteIndex: 3,
-                };
+                then = now - (elapsed % fpsInterval);
+                frameCount++;
             }
-
-            const renderPass = commandEncoder.beginRenderPass(renderPassDescriptor);
-            renderPass.setPipeline(renderPipeline);
-
-            let textureToRender;
-            if (isPlaying) {
-                textureToRender = useTextureA ? renderBindGroupB : renderBindGroupA;
-            } else {
-                textureToRender = useTextureA ? renderBindGroupA : renderBindGroupB;
+            if (steps > 0) {
+                generation += steps;
+                genElem.textContent = `Gen: ${generation}`;
+                lastStepTime = now;
+                lastBatch = steps;
             }
 
-            renderPass.setBindGroup(0, textureToRender);
-            renderPass.draw(6);
-            renderPass.end();
-
-            if (statsEnabled && canProfile) {
-                commandEncoder.resolveQuerySet(querySet, 0, 4, queryResolveBuffer, 0);
-                commandEncoder.copyBufferToBuffer(queryResolveBuffer, 0, queryResultBuffer, 0, 32);
+            const sampleAt = steps > 0 ? statsSampler() : null;
+            const { timings, stats, work } = engine.frame(steps, statsEnabled, sampleAt);
+            if (steps > 0) {
+                updateTimelineUI();
+                if (sampleAt) receiveStats(stats);
+                captureFrame();
+                adaptBatch(steps, work);
             }
 
-            device.queue.submit([commandEncoder.finish()]);
-
-            if (statsEnabled && canProfile) {
-                if (queryResultBuffer.mapState === 'unmapped') {
-                    queryResultBuffer.mapAsync(GPUMapMode.READ).then(() => {
-                        const times = new BigInt64Array(queryResultBuffer.getMappedRange());
-
-                        let computeTime = 0;
-                        if (isPlaying) {
-                            computeTime = Number(times[1] - times[0]) / 1000000;
-                        }
-                        const renderTime = Number(times[3] - times[2]) / 1000000;
-
-                        fpsElem.textContent = `FPS: ${frameCount} | Comp: ${computeTime.toFixed(2)}ms | Rend: ${renderTime.toFixed(2)}ms`;
-
-                        queryResultBuffer.unmap();
-                    });
-                }
+            if (inspected && generation !== inspectedGeneration) refreshInspector();
+            if (viewLayersDirty) {
+                viewLayersDirty = false;
+                drawGridLayer();
+                drawMinimap();
             }
+            refreshMinimap(now);
 
-            if (isPlaying) {
-                useTextureA = !useTextureA;
+            if (timings) {
+                timings.then(({ computeTime, renderTime }) => {
+                    fpsElem.textContent = `FPS: ${frameCount} | Comp: ${computeTime.toFixed(2)}ms | Rend: ${renderTime.toFixed(2)}ms`;
+                });
             }
         }
     }
 
-    initSimulationResources(256);
+    initSimulationResources(gridWidth, gridHeight);
+    applySeed(randomSeed());
+    loadPermalink();
 
     requestAnimationFrame(frame);
 }
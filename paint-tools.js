@@ -0,0 +1,277 @@
+import { wrapCell } from "./topology.js";
+
+// Geometry for the paint tools and stamp transforms. Shapes are built in
+// unwrapped world cells, like stamps, and resolved through the topology when
+// the stroke is written.
+
+// Stamp write modes (order matches STAMP_MODE_* in shaders.wgsl)
+export const STAMP_MODE_TOGGLE = 0;
+export const STAMP_MODE_PAINT = 1;
+export const STAMP_MODE_OVERWRITE = 2;
+export const STAMP_MODE_OR = 3;
+export const STAMP_MODE_AND_NOT = 4;
+export const STAMP_MODE_AS_STATE = 5;
+
+// Modes offered for stamps (painting has its own tools)
+export const STAMP_MODES = [
+    { mode: STAMP_MODE_TOGGLE, name: "Flip" },
+    { mode: STAMP_MODE_OVERWRITE, name: "Overwrite" },
+    { mode: STAMP_MODE_OR, name: "OR" },
+    { mode: STAMP_MODE_AND_NOT, name: "AND-NOT" },
+    { mode: STAMP_MODE_AS_STATE, name: "As state" },
+];
+
+export const PAINT_TOOLS = [
+    { id: "brush", name: "Brush" },
+    { id: "line", name: "Line" },
+    { id: "rect", name: "Rect" },
+    { id: "ellipse", name: "Ellipse" },
+    { id: "fill", name: "Fill" },
+];
+
+// Collects cells without duplicates, in insertion order
+export function createCellSet() {
+    const keys = new Set();
+    const cells = [];
+    return {
+        cells,
+        add(x, y) {
+            const key = `${x},${y}`;
+            if (keys.has(key)) return;
+            keys.add(key);
+            cells.push({ x, y });
+        },
+    };
+}
+
+// Disc of the given radius around (0, 0); radius 0 is a single cell
+export function brushOffsets(radius) {
+    const offsets = [];
+    const limit = (radius + 0.5) * (radius + 0.5);
+    for (let dy = -radius; dy <= radius; dy++) {
+        for (let dx = -radius; dx <= radius; dx++) {
+            if (dx * dx + dy * dy <= limit) offsets.push({ x: dx, y: dy });
+        }
+    }
+    return offsets;
+}
+
+// Bresenham, both ends included
+export function lineCells(x0, y0, x1, y1) {
+    const cells = [];
+    const dx = Math.abs(x1 - x0);
+    const dy = -Math.abs(y1 - y0);
+    const sx = x0 < x1 ? 1 : -1;
+    const sy = y0 < y1 ? 1 : -1;
+    let err = dx + dy;
+    let x = x0;
+    let y = y0;
+    for (;;) {
+        cells.push({ x, y });
+        if (x === x1 && y === y1) break;
+        const e2 = 2 * err;
+        if (e2 >= dy) {
+            err += dy;
+            x += sx;
+        }
+        if (e2 <= dx) {
+            err += dx;
+            y += sy;
+        }
+    }
+    return cells;
+}
+
+// Cells of the box spanned by two corners for which inside(x, y) holds;
+// outlines keep only cells with a 4-neighbour outside the shape
+function shapeCells(x0, y0, x1, y1, filled, inside) {
+    const minX = Math.min(x0, x1), maxX = Math.max(x0, x1);
+    const minY = Math.min(y0, y1), maxY = Math.max(y0, y1);
+    const cells = [];
+    for (let y = minY; y <= maxY; y++) {
+        for (let x = minX; x <= maxX; x++) {
+            if (!inside(x, y)) continue;
+            if (!filled && inside(x - 1, y) && inside(x + 1, y) && inside(x, y - 1) && inside(x, y + 1)) continue;
+            cells.push({ x, y });
+        }
+    }
+    return cells;
+}
+
+export function rectCells(x0, y0, x1, y1, filled) {
+    const minX = Math.min(x0, x1), maxX = Math.max(x0, x1);
+    const minY = Math.min(y0, y1), maxY = Math.max(y0, y1);
+    return shapeCells(x0, y0, x1, y1, filled, (x, y) => x >= minX && x <= maxX && y >= minY && y <= maxY);
+}
+
+// Ellipse inscribed in the box spanned by two corners
+export function ellipseCells(x0, y0, x1, y1, filled) {
+    const cx = (x0 + x1) / 2;
+    const cy = (y0 + y1) / 2;
+    const rx = Math.abs(x1 - x0) / 2 + 0.5;
+    const ry = Math.abs(y1 - y0) / 2 + 0.5;
+    return shapeCells(x0, y0, x1, y1, filled, (x, y) => {
+        const u = (x - cx) / rx;
+        const v = (y - cy) / ry;
+        return u * u + v * v <= 1;
+    });
+}
+
+// Stamps the brush onto every cell of a path
+export function thicken(cells, radius) {
+    if (radius === 0) return cells;
+    const offsets = brushOffsets(radius);
+    const set = createCellSet();
+    for (const cell of cells) {
+        for (const o of offsets) set.add(cell.x + o.x, cell.y + o.y);
+    }
+    return set.cells;
+}
+
+// 4-connected region of grid cells sharing the start cell's state, following
+// the topology across edges. Returns grid cells, or [] off a bounded arena.
+export function floodFillCells(state, width, height, startX, startY, topology) {
+    const start = wrapCell(startX, startY, width, height, topology);
+    if (!start) return [];
+
+    const target = Math.round(state[start.y * width + start.x]);
+    const visited = new Uint8Array(width * height);
+    const cells = [];
+    const stack = [start];
+    visited[start.y * width + start.x] = 1;
+
+    while (stack.length > 0) {
+        const cell = stack.pop();
+        cells.push(cell);
+        for (const [dx, dy] of [[1, 0], [-1, 0], [0, 1], [0, -1]]) {
+            const n = wrapCell(cell.x + dx, cell.y + dy, width, height, topology);
+            if (!n) continue;
+            const idx = n.y * width + n.x;
+            if (visited[idx] || Math.round(state[idx]) !== target) continue;
+            visited[idx] = 1;
+            stack.push(n);
+        }
+    }
+    return cells;
+}
+
+// Packs cells into a stamp pattern for STAMP_MODE_PAINT (state + 1 per cell, 0 = untouched)
+export function paintPattern(cells, state) {
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    for (const { x, y } of cells) {
+        if (x < minX) minX = x;
+        if (x > maxX) maxX = x;
+        if (y < minY) minY = y;
+        if (y > maxY) maxY = y;
+    }
+    const w = maxX - minX + 1;
+    const h = maxY - minY + 1;
+    const data = new Uint32Array(w * h);
+    for (const { x, y } of cells) {
+        data[(y - minY) * w + (x - minX)] = state + 1;
+    }
+    return { x: minX, y: minY, w, h, data };
+}
+
+// Mirrors first, then rotates by quarter turns clockwise
+export function transformPattern(pattern, rotation, flipX, flipY) {
+    let { w, h } = pattern;
+    let data = Array.from(pattern.data);
+
+    if (flipX || flipY) {
+        const mirrored = new Array(w * h);
+        for (let y = 0; y < h; y++) {
+            for (let x = 0; x < w; x++) {
+                const sx = flipX ? w - 1 - x : x;
+                const sy = flipY ? h - 1 - y : y;
+                mirrored[y * w + x] = data[sy * w + sx];
+            }
+        }
+        data = mirrored;
+    }
+
+    for (let r = 0; r < ((rotation % 4) + 4) % 4; r++) {
+        const rotated = new Array(w * h);
+        for (let y = 0; y < h; y++) {
+            for (let x = 0; x < w; x++) {
+                rotated[x * h + (h - 1 - y)] = data[y * w + x];
+            }
+        }
+        [w, h] = [h, w];
+        data = rotated;
+    }
+
+    return { ...pattern, w, h, data };
+}
+
+// --- Selections ---
+// A selection is a box of unwrapped world cells { x, y, w, h }, so it can
+// straddle a wrapped edge like a stamp does; it never covers a cell twice.
+export function selectionRect(start, end, width, height) {
+    const x = Math.min(start.x, end.x);
+    const y = Math.min(start.y, end.y);
+    return {
+        x,
+        y,
+        w: Math.min(Math.abs(end.x - start.x) + 1, width),
+        h: Math.min(Math.abs(end.y - start.y) + 1, height),
+    };
+}
+
+// The selected cells as a stamp pattern; cells off a bounded arena are dead
+export function copyRegion(state, width, height, rect, topology) {
+    const data = new Array(rect.w * rect.h).fill(0);
+    for (let py = 0; py < rect.h; py++) {
+        for (let px = 0; px < rect.w; px++) {
+            const cell = wrapCell(rect.x + px, rect.y + py, width, height, topology);
+            if (cell) data[py * rect.w + px] = Math.round(state[cell.y * width + cell.x]);
+        }
+    }
+    return { w: rect.w, h: rect.h, data };
+}
+
+// Whole board with everything outside the selection cleared
+export function cropBoard(state, width, height, rect, topology) {
+    const board = new Array(width * height).fill(0);
+    for (let py = 0; py < rect.h; py++) {
+        for (let px = 0; px < rect.w; px++) {
+            const cell = wrapCell(rect.x + px, rect.y + py, width, height, topology);
+            if (!cell) continue;
+            const idx = cell.y * width + cell.x;
+            board[idx] = Math.round(state[idx]);
+        }
+    }
+    return { w: width, h: height, data: board };
+}
+
+// --- Resizing ---
+// Where the old board sits on a resized one; x and y are 0 (left/top),
+// 0.5 (centre) or 1 (right/bottom)
+export const RESIZE_ANCHORS = [
+    { id: "top-left", name: "Top left", x: 0, y: 0 },
+    { id: "top", name: "Top", x: 0.5, y: 0 },
+    { id: "top-right", name: "Top right", x: 1, y: 0 },
+    { id: "left", name: "Left", x: 0, y: 0.5 },
+    { id: "center", name: "Centre", x: 0.5, y: 0.5 },
+    { id: "right", name: "Right", x: 1, y: 0.5 },
+    { id: "bottom-left", name: "Bottom left", x: 0, y: 1 },
+    { id: "bottom", name: "Bottom", x: 0.5, y: 1 },
+    { id: "bottom-right", name: "Bottom right", x: 1, y: 1 },
+];
+
+// Copies a width x height plane onto a newWidth x newHeight one at the anchor;
+// growing pads with zeros, shrinking cuts off the far side of the anchor
+export function resizePlane(plane, width, height, newWidth, newHeight, anchor) {
+    const resized = new Float32Array(newWidth * newHeight);
+    const offsetX = Math.floor((newWidth - width) * anchor.x);
+    const offsetY = Math.floor((newHeight - height) * anchor.y);
+    for (let y = 0; y < height; y++) {
+        const ny = y + offsetY;
+        if (ny < 0 || ny >= newHeight) continue;
+        const start = Math.max(0, -offsetX);
+        const end = Math.min(width, newWidth - offsetX);
+        if (start >= end) continue;
+        resized.set(plane.subarray(y * width + start, y * width + end), ny * newWidth + start + offsetX);
+    }
+    return resized;
+}
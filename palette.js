@@ -0,0 +1,59 @@
+// Palette helpers shared by the engines, exporters and the command line.
+// Slot order matches the Palette struct in shaders.wgsl: one colour per cell
+// state, then the trail.
+
+import { CELL_STATES, MAX_STATES, stateIndex } from "./states.js";
+
+export const PALETTE_SLOTS = [...CELL_STATES.map(s => s.slot), "trail"];
+
+export const DEFAULT_PALETTE = {
+    ...Object.fromEntries(CELL_STATES.map(s => [s.slot, s.color])),
+    trail: "#FF00FF",
+};
+
+// The trail colour follows the MAX_STATES state colours
+const TRAIL_OFFSET = MAX_STATES * 4;
+
+export function hexToRgb(hex) {
+    const r = parseInt(hex.slice(1, 3), 16) / 255;
+    const g = parseInt(hex.slice(3, 5), 16) / 255;
+    const b = parseInt(hex.slice(5, 7), 16) / 255;
+    return [r, g, b, 1.0];
+}
+
+// (MAX_STATES + 1) x vec4<f32>, the layout of the palette uniform buffer;
+// entries past the last state stay zero
+export function paletteToFloats(palette) {
+    const floats = new Float32Array(TRAIL_OFFSET + 4);
+    CELL_STATES.forEach((s, i) => floats.set(hexToRgb(palette[s.slot]), i * 4));
+    floats.set(hexToRgb(palette.trail), TRAIL_OFFSET);
+    return floats;
+}
+
+// CPU twin of fragmentMain's colouring: state colour, then the trail colour
+// mixed in by up to 60% according to the history value.
+// `colors` is the Float32Array from paletteToFloats, `out` an RGBA8 buffer.
+export function colorizeCells(state, history, colors, out) {
+    for (let i = 0; i < state.length; i++) {
+        const slot = stateIndex(state[i]);
+
+        let r = colors[slot * 4];
+        let g = colors[slot * 4 + 1];
+        let b = colors[slot * 4 + 2];
+
+        const h = history ? history[i] : 0;
+        if (h > 0.01) {
+            const a = h * 0.6;
+            r += (colors[TRAIL_OFFSET] - r) * a;
+            g += (colors[TRAIL_OFFSET + 1] - g) * a;
+            b += (colors[TRAIL_OFFSET + 2] - b) * a;
+        }
+
+        const o = i * 4;
+        out[o] = Math.round(r * 255);
+        out[o + 1] = Math.round(g * 255);
+        out[o + 2] = Math.round(b * 255);
+        out[o + 3] = 255;
+    }
+    return out;
+}
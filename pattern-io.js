@@ -0,0 +1,410 @@
+// Pattern file formats: RLE, plaintext .cells and Macrocell.
+// Cells are row-major arrays of state numbers, indexes into CELL_STATES
+// (0 dead, 1 alive, 2 chaos, ...). Parsers return { name, w, h, data, rule },
+// with `rule` null when the file does not name one.
+
+import { CELL_STATES } from "./states.js";
+
+const RLE_LINE_LENGTH = 70;
+const MAX_STATE = CELL_STATES.length - 1;
+
+export const PATTERN_FORMATS = [
+    { id: "rle", name: "RLE", extension: "rle" },
+    { id: "cells", name: "Plaintext", extension: "cells" },
+    { id: "mc", name: "Macrocell", extension: "mc" },
+];
+
+function isMultiState(cells) {
+    for (let i = 0; i < cells.length; i++) {
+        if (cells[i] > 1.5) return true;
+    }
+    return false;
+}
+
+function checkState(state, format) {
+    if (state > MAX_STATE) {
+        throw new Error(`${format}: state ${state} is not supported (states 0-${MAX_STATE} only).`);
+    }
+    return state;
+}
+
+// Places sparse { x, y, state } cells into a w x h array
+function toPattern(name, cells, w, h, rule) {
+    const data = new Array(w * h).fill(0);
+    for (const { x, y, state } of cells) {
+        if (x >= 0 && y >= 0 && x < w && y < h) {
+            data[y * w + x] = state;
+        }
+    }
+    return { name, w, h, data, rule };
+}
+
+// Crops sparse cells to their bounding box
+function cropPattern(name, cells, rule) {
+    if (cells.length === 0) {
+        return { name, w: 1, h: 1, data: [0], rule };
+    }
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    for (const { x, y } of cells) {
+        minX = Math.min(minX, x);
+        minY = Math.min(minY, y);
+        maxX = Math.max(maxX, x);
+        maxY = Math.max(maxY, y);
+    }
+    const shifted = cells.map(c => ({ x: c.x - minX, y: c.y - minY, state: c.state }));
+    return toPattern(name, shifted, maxX - minX + 1, maxY - minY + 1, rule);
+}
+
+// --- RLE ---
+
+// Two-state patterns use b/o, anything with states 2-4 uses the Golly
+// multi-state letters: "." for 0 and A, B, C, D for 1-4.
+export function encodeRle(cells, width, height, rule, name) {
+    const multiState = isMultiState(cells);
+    const symbol = (s) => multiState ? (s === 0 ? "." : String.fromCharCode(64 + s)) : (s === 0 ? "b" : "o");
+
+    const tokens = [];
+    let pendingRows = 0;
+
+    for (let y = 0; y < height; y++) {
+        // Trailing dead cells of a row are implied
+        let end = width;
+        while (end > 0 && Math.round(cells[y * width + end - 1]) === 0) end--;
+
+        if (end === 0) {
+            pendingRows++;
+            continue;
+        }
+        if (tokens.length > 0 || pendingRows > 0) {
+            const rows = tokens.length > 0 ? pendingRows + 1 : pendingRows;
+            if (rows > 0) tokens.push(rows > 1 ? `${rows}$` : "$");
+        }
+        pendingRows = 0;
+
+        let x = 0;
+        while (x < end) {
+            const s = Math.round(cells[y * width + x]);
+            let run = 1;
+            while (x + run < end && Math.round(cells[y * width + x + run]) === s) run++;
+            tokens.push(run > 1 ? `${run}${symbol(s)}` : symbol(s));
+            x += run;
+        }
+    }
+    tokens.push("!");
+
+    const lines = [];
+    if (name) lines.push(`#N ${name}`);
+    lines.push(`x = ${width}, y = ${height}` + (rule ? `, rule = ${rule}` : ""));
+    let line = "";
+    for (const token of tokens) {
+        if (line.length + token.length > RLE_LINE_LENGTH) {
+            lines.push(line);
+            line = "";
+        }
+        line += token;
+    }
+    lines.push(line);
+    return lines.join("\n") + "\n";
+}
+
+// Cells past a declared x/y are dropped as they are read. maxSize, when
+// given, caps the declared sides and how far the runs may reach, so an
+// untrusted pattern can't make the parser allocate without bound.
+export function parseRle(text, maxSize = Infinity) {
+    let name = "";
+    let rule = null;
+    let width = 0;
+    let height = 0;
+    let body = "";
+    let sawHeader = false;
+
+    for (const rawLine of text.split(/\r?\n/)) {
+        const line = rawLine.trim();
+        if (!line) continue;
+        if (line.startsWith("#")) {
+            if (/^#N\s/.test(line)) name = line.slice(2).trim();
+            continue;
+        }
+        if (!sawHeader && /^x\s*=/.test(line)) {
+            sawHeader = true;
+            for (const part of line.split(",")) {
+                const [key, value] = part.split("=").map(v => v.trim());
+                if (key === "x") width = parseInt(value);
+                else if (key === "y") height = parseInt(value);
+                else if (key === "rule") rule = value;
+            }
+            continue;
+        }
+        body += line;
+        if (line.includes("!")) break;
+    }
+
+    if (width > maxSize || height > maxSize) {
+        throw new Error(`RLE: patterns are limited to ${maxSize}x${maxSize}, got ${width}x${height}.`);
+    }
+    const bounded = width > 0 && height > 0;
+
+    const cells = [];
+    let x = 0;
+    let y = 0;
+    let count = "";
+    for (const ch of body) {
+        if (ch >= "0" && ch <= "9") {
+            count += ch;
+            continue;
+        }
+        const run = count ? parseInt(count) : 1;
+        count = "";
+
+        if (ch === "!") break;
+        if (ch === "$") {
+            y += run;
+            x = 0;
+            if (y >= maxSize) throw new Error(`RLE: the pattern runs past ${maxSize} rows.`);
+            continue;
+        }
+        if (/\s/.test(ch)) continue;
+
+        let state;
+        if (ch === "b" || ch === ".") {
+            state = 0;
+        } else if (ch >= "A" && ch <= "X") {
+            state = checkState(ch.charCodeAt(0) - 64, "RLE");
+        } else if (ch >= "p" && ch <= "y") {
+            throw new Error(`RLE: state prefix "${ch}" is not supported (states 0-${MAX_STATE} only).`);
+        } else {
+            // "o" and any other letter mean alive in two-state RLE
+            state = 1;
+        }
+
+        if (x + run > maxSize) throw new Error(`RLE: the pattern runs past ${maxSize} columns.`);
+        if (state !== 0 && (!bounded || y < height)) {
+            const end = bounded ? Math.min(x + run, width) : x + run;
+            for (let i = x; i < end; i++) {
+                cells.push({ x: i, y, state });
+            }
+        }
+        x += run;
+    }
+
+    if (!sawHeader) {
+        throw new Error("RLE: missing \"x = ..., y = ...\" header line.");
+    }
+    if (width > 0 && height > 0) {
+        return toPattern(name, cells, width, height, rule);
+    }
+    return cropPattern(name, cells, rule);
+}
+
+// --- Plaintext (.cells) ---
+
+export function encodeCells(cells, width, height, name) {
+    if (isMultiState(cells)) {
+        throw new Error("Plaintext .cells only holds dead and alive cells, use RLE or Macrocell for states 2-4.");
+    }
+    const lines = [];
+    if (name) lines.push(`!Name: ${name}`);
+    for (let y = 0; y < height; y++) {
+        let row = "";
+        for (let x = 0; x < width; x++) {
+            row += Math.round(cells[y * width + x]) === 1 ? "O" : ".";
+        }
+        lines.push(row.replace(/\.+$/, ""));
+    }
+    return lines.join("\n") + "\n";
+}
+
+export function parseCells(text) {
+    let name = "";
+    const rows = [];
+    for (const rawLine of text.split(/\r?\n/)) {
+        const line = rawLine.replace(/\s+$/, "");
+        if (line.startsWith("!")) {
+            const match = line.match(/^!Name:\s*(.*)$/);
+            if (match) name = match[1].trim();
+            continue;
+        }
+        rows.push(line);
+    }
+    while (rows.length > 0 && rows[rows.length - 1] === "") rows.pop();
+
+    const w = Math.max(1, ...rows.map(r => r.length));
+    const h = Math.max(1, rows.length);
+    const cells = [];
+    rows.forEach((row, y) => {
+        for (let x = 0; x < row.length; x++) {
+            const ch = row[x];
+            if (ch === "O" || ch === "*") {
+                cells.push({ x, y, state: 1 });
+            } else if (ch !== ".") {
+                throw new Error(`Plaintext: unexpected character "${ch}" on line ${y + 1}.`);
+            }
+        }
+    });
+    return toPattern(name, cells, w, h, null);
+}
+
+// --- Macrocell ---
+// Two-state patterns use 8x8 leaf lines, multi-state ones level-1 nodes
+// holding four states, as Golly writes them.
+
+export function encodeMacrocell(cells, width, height, rule) {
+    const multiState = isMultiState(cells);
+    const leafLevel = multiState ? 1 : 3;
+    let level = leafLevel;
+    while ((1 << level) < Math.max(width, height)) level++;
+
+    const lines = ["[M2] (ai-cellular-automata)"];
+    if (rule) lines.push(`#R ${rule}`);
+
+    const ids = new Map();
+    const cellAt = (x, y) => (x < width && y < height ? Math.round(cells[y * width + x]) : 0);
+
+    function emit(key, line) {
+        let id = ids.get(key);
+        if (id === undefined) {
+            lines.push(line);
+            id = lines.length - (rule ? 2 : 1);
+            ids.set(key, id);
+        }
+        return id;
+    }
+
+    // Returns the node id of the square at (x, y), 0 for an empty square
+    function build(x, y, lvl) {
+        const size = 1 << lvl;
+        if (x >= width || y >= height) return 0;
+
+        if (lvl === leafLevel && !multiState) {
+            const rows = [];
+            for (let dy = 0; dy < 8; dy++) {
+                let row = "";
+                for (let dx = 0; dx < 8; dx++) row += cellAt(x + dx, y + dy) === 1 ? "*" : ".";
+                rows.push(row.replace(/\.+$/, ""));
+            }
+            while (rows.length > 0 && rows[rows.length - 1] === "") rows.pop();
+            if (rows.length === 0) return 0;
+            const leaf = rows.join("$") + "$";
+            return emit(leaf, leaf);
+        }
+        if (lvl === 1) {
+            const states = [cellAt(x, y), cellAt(x + 1, y), cellAt(x, y + 1), cellAt(x + 1, y + 1)];
+            if (states.every(s => s === 0)) return 0;
+            const line = `1 ${states.join(" ")}`;
+            return emit(line, line);
+        }
+
+        const half = size / 2;
+        const children = [build(x, y, lvl - 1), build(x + half, y, lvl - 1), build(x, y + half, lvl - 1), build(x + half, y + half, lvl - 1)];
+        if (children.every(c => c === 0)) return 0;
+        const line = `${lvl} ${children.join(" ")}`;
+        return emit(line, line);
+    }
+
+    if (build(0, 0, level) === 0) {
+        // An empty universe still needs a root node
+        lines.push(multiState ? "1 0 0 0 0" : "$");
+    }
+    return lines.join("\n") + "\n";
+}
+
+export function parseMacrocell(text) {
+    const lines = text.split(/\r?\n/);
+    if (!/^\[M2\]/.test(lines[0] || "")) {
+        throw new Error("Macrocell: missing [M2] header.");
+    }
+
+    let rule = null;
+    let name = "";
+    const nodes = [null]; // 1-based, node 0 is the empty node
+    for (const rawLine of lines.slice(1)) {
+        const line = rawLine.trim();
+        if (!line) continue;
+        if (line.startsWith("#")) {
+            if (line.startsWith("#R")) rule = line.slice(2).trim();
+            else if (line.startsWith("#N")) name = line.slice(2).trim();
+            continue;
+        }
+        if (/^[.*$]+$/.test(line)) {
+            // 8x8 leaf
+            const cells = [];
+            line.split("$").forEach((row, y) => {
+                for (let x = 0; x < row.length; x++) {
+                    if (row[x] === "*") cells.push({ x, y, state: 1 });
+                }
+            });
+            nodes.push({ level: 3, cells });
+            continue;
+        }
+        const parts = line.split(/\s+/).map(Number);
+        if (parts.some(n => !Number.isInteger(n) || n < 0)) {
+            throw new Error(`Macrocell: malformed node line "${line}".`);
+        }
+        const [level, nw, ne, sw, se] = parts;
+        if (level === 1) {
+            nodes.push({ level: 1, states: [nw, ne, sw, se].map(s => checkState(s, "Macrocell")) });
+        } else {
+            for (const child of [nw, ne, sw, se]) {
+                if (child >= nodes.length) {
+                    throw new Error(`Macrocell: node ${nodes.length} refers to later node ${child}.`);
+                }
+            }
+            nodes.push({ level, children: [nw, ne, sw, se] });
+        }
+    }
+    if (nodes.length < 2) {
+        throw new Error("Macrocell: no nodes found.");
+    }
+
+    const cells = [];
+    function collect(id, x, y) {
+        if (id === 0) return;
+        const node = nodes[id];
+        if (node.cells) {
+            for (const c of node.cells) cells.push({ x: x + c.x, y: y + c.y, state: c.state });
+        } else if (node.states) {
+            node.states.forEach((state, i) => {
+                if (state !== 0) cells.push({ x: x + (i & 1), y: y + (i >> 1), state });
+            });
+        } else {
+            const half = 1 << (node.level - 1);
+            collect(node.children[0], x, y);
+            collect(node.children[1], x + half, y);
+            collect(node.children[2], x, y + half);
+            collect(node.children[3], x + half, y + half);
+        }
+    }
+    collect(nodes.length - 1, 0, 0);
+    return cropPattern(name, cells, rule);
+}
+
+// --- Detection ---
+
+export function parsePattern(text, fallbackName = "") {
+    const trimmed = text.trim();
+    let pattern;
+    if (trimmed.startsWith("[M2]")) {
+        pattern = parseMacrocell(trimmed);
+    } else if (/^x\s*=/m.test(trimmed)) {
+        pattern = parseRle(trimmed);
+    } else if (/^[.*O!\s]/.test(trimmed) || trimmed.startsWith("!")) {
+        pattern = parseCells(trimmed);
+    } else {
+        throw new Error("Unrecognised pattern format (expected RLE, .cells or Macrocell).");
+    }
+    if (!pattern.name) pattern.name = fallbackName;
+    return pattern;
+}
+
+export function encodePattern(format, cells, width, height, rule, name) {
+    switch (format) {
+        case "rle":
+            return encodeRle(cells, width, height, rule, name);
+        case "cells":
+            return encodeCells(cells, width, height, name);
+        case "mc":
+            return encodeMacrocell(cells, width, height, rule);
+        default:
+            throw new Error(`Unknown pattern format "${format}".`);
+    }
+}
@@ -0,0 +1,158 @@
+// Permalinks: the whole setup serialised into the URL hash, e.g.
+//
+//   #size=256&rule=B3/S23&topo=torus&init=soup:0.5&seed=42&fps=12
+//    &trails=off&decay=0.9&pal=29ae93,00ffcc,...&view=1,0,0
+//
+// Rectangular grids write the size as WxH, e.g. size=1920x1080.
+// Hand-edited boards add board=<RLE body> in place of init. The seed drives
+// both the soup and the chaos cells, so it is kept either way.
+// Missing keys fall back to the app defaults.
+
+import { PALETTE_SLOTS } from "./palette.js";
+import { encodeRle, parseRle } from "./pattern-io.js";
+
+// Boards whose RLE is longer than this are left out of the link
+export const MAX_BOARD_RLE_LENGTH = 2000;
+
+// "/", "$", "!", "," and ":" are legal in a fragment, so keep rules and RLE readable
+function encodeValue(value) {
+    return encodeURIComponent(value).replace(/%2F|%24|%21|%2C|%3A/g, decodeURIComponent);
+}
+
+function parseNumber(value, key) {
+    const n = Number(value);
+    if (value === "" || !Number.isFinite(n)) {
+        throw new Error(`Permalink: "${key}" must be a number, got "${value}".`);
+    }
+    return n;
+}
+
+function parseInteger(value, key, min, max) {
+    const n = parseNumber(value, key);
+    if (!Number.isInteger(n) || n < min || n > max) {
+        throw new Error(`Permalink: "${key}" must be an integer from ${min} to ${max}, got "${value}".`);
+    }
+    return n;
+}
+
+// Sides are bounded by the engine when the link is applied
+export const MAX_SIZE = 16384;
+
+function parseSize(value) {
+    const match = /^(\d+)(?:x(\d+))?$/.exec(value);
+    if (!match) {
+        throw new Error(`Permalink: "size" must be N or WxH, got "${value}".`);
+    }
+    const width = parseInteger(match[1], "size", 1, MAX_SIZE);
+    const height = match[2] ? parseInteger(match[2], "size", 1, MAX_SIZE) : width;
+    return { width, height };
+}
+
+// RLE body only: the size comes from the link, the rule from its own key
+export function compactBoard(state, width, height) {
+    const body = encodeRle(state, width, height).split("\n").slice(1).join("");
+    return body.length <= MAX_BOARD_RLE_LENGTH ? body : null;
+}
+
+export function expandBoard(body, width, height) {
+    // A shared link is untrusted: runs are clipped to the board as they are read
+    const pattern = parseRle(`x = ${width}, y = ${height}\n${body}`, MAX_SIZE);
+    return Float32Array.from(pattern.data);
+}
+
+// setup: { size: {width, height}, rule, topology, init, seed, fps, trails: {active, decay}, palette, view: {zoom, panX, panY}, board }
+export function encodePermalink(setup) {
+    const params = [
+        ["size", setup.size.width === setup.size.height ? setup.size.width : `${setup.size.width}x${setup.size.height}`],
+        ["rule", setup.rule],
+        ["topo", setup.topology],
+    ];
+    if (setup.board) {
+        params.push(["board", setup.board]);
+    } else {
+        params.push(["init", setup.init]);
+    }
+    params.push(
+        ["seed", setup.seed],
+        ["fps", setup.fps],
+        ["trails", setup.trails.active ? "on" : "off"],
+        ["decay", setup.trails.decay],
+        ["pal", PALETTE_SLOTS.map(slot => setup.palette[slot].replace("#", "").toLowerCase()).join(",")],
+        ["view", [setup.view.zoom, setup.view.panX, setup.view.panY].map(v => Number(v.toFixed(5))).join(",")],
+    );
+    return params.map(([key, value]) => `${key}=${encodeValue(String(value))}`).join("&");
+}
+
+// Returns only the keys present in the hash; rule, topology, init and board
+// stay strings for the caller to validate with the usual parsers
+export function decodePermalink(hash) {
+    const setup = {};
+    const text = hash.replace(/^#/, "");
+    if (!text) return setup;
+
+    for (const part of text.split("&")) {
+        if (!part) continue;
+        const eq = part.indexOf("=");
+        const key = eq >= 0 ? part.slice(0, eq) : part;
+        const value = eq >= 0 ? decodeURIComponent(part.slice(eq + 1)) : "";
+
+        switch (key) {
+            case "size":
+                setup.size = parseSize(value);
+                break;
+            case "rule":
+                setup.rule = value;
+                break;
+            case "topo":
+                setup.topology = value;
+                break;
+            case "init":
+                setup.init = value;
+                break;
+            case "seed":
+                setup.seed = parseInteger(value, key, 0, 0xFFFFFFFF);
+                break;
+            case "board":
+                setup.board = value;
+                break;
+            case "fps":
+                setup.fps = parseInteger(value, key, 1, 144);
+                break;
+            case "trails":
+                if (value !== "on" && value !== "off") {
+                    throw new Error(`Permalink: "trails" must be on or off, got "${value}".`);
+                }
+                setup.trailsActive = value === "on";
+                break;
+            case "decay":
+                setup.decay = parseNumber(value, key);
+                if (!(setup.decay > 0 && setup.decay < 1)) {
+                    throw new Error(`Permalink: "decay" must be between 0 and 1, got "${value}".`);
+                }
+                break;
+            case "pal": {
+                // Links made before a cell state was added lack its colour;
+                // the trail comes last either way
+                const colors = value.split(",").map(c => `#${c.toLowerCase()}`);
+                if (colors.length < 2 || colors.length > PALETTE_SLOTS.length || !colors.every(c => /^#[0-9a-f]{6}$/.test(c))) {
+                    throw new Error(`Permalink: "pal" must be ${PALETTE_SLOTS.length} comma-separated hex colours.`);
+                }
+                const trail = colors.pop();
+                setup.palette = { ...Object.fromEntries(colors.map((c, i) => [PALETTE_SLOTS[i], c])), trail };
+                break;
+            }
+            case "view": {
+                const [zoom, panX, panY] = value.split(",").map(v => parseNumber(v, key));
+                if (panY === undefined || !(zoom >= 0.5 && zoom <= 50)) {
+                    throw new Error(`Permalink: "view" must be zoom,panX,panY with zoom from 0.5 to 50, got "${value}".`);
+                }
+                setup.view = { zoom, panX, panY };
+                break;
+            }
+            default:
+                // Unknown keys (from newer links or hand edits) are ignored
+                break;
+        }
+    }
+    return setup;
+}
@@ -0,0 +1,156 @@
+// Population statistics: per-state counts, births and deaths between two
+// consecutive generations, the bounding box of the cells that changed, and
+// board hashes for settle detection. The GPU engine reduces them in
+// statsMain, the CPU engine here; both hand back the same sample object.
+
+import { COUNTS_ALWAYS, COUNTS_CHANCE, MAX_STATES, STATE_ALIVE, STATE_NAMES, STATE_TABLE, stateIndex } from "./states.js";
+import { hash32 } from "./random.js";
+import { neighborCell } from "./topology.js";
+
+// Counter layout shared with statsMain in shaders.wgsl: one count per
+// possible state, then the counters below
+export const STATS_COUNTERS = MAX_STATES + 10;
+const STATS_BIRTHS = MAX_STATES;
+const STATS_DEATHS = MAX_STATES + 1;
+const STATS_MIN_X = MAX_STATES + 2;
+const STATS_MIN_Y = MAX_STATES + 3;
+const STATS_MAX_X = MAX_STATES + 4;
+const STATS_MAX_Y = MAX_STATES + 5;
+const STATS_HASH = MAX_STATES + 6;
+const STATS_STEADY_HASH = MAX_STATES + 8;
+const NO_CHANGE = 0xFFFFFFFF;
+
+// Initial counter values: mins start high so any changed cell lowers them
+export function emptyCounters() {
+    const counters = new Uint32Array(STATS_COUNTERS);
+    counters[STATS_MIN_X] = NO_CHANGE;
+    counters[STATS_MIN_Y] = NO_CHANGE;
+    return counters;
+}
+
+function hashHex(counters, index) {
+    return counters[index + 1].toString(16).padStart(8, "0") + counters[index].toString(16).padStart(8, "0");
+}
+
+// counters from statsMain or countPopulation
+// -> { generation, counts, births, deaths, bounds: { minX, minY, maxX, maxY } or null,
+//      hash, steadyHash }
+// The hashes are 16 hex digits; steadyHash leaves out alive cells next to a
+// state that counts by chance, whose state is a coin flip every generation.
+export function statsFromCounters(counters, generation) {
+    return {
+        generation,
+        counts: Array.from(counters.subarray(0, STATE_NAMES.length)),
+        births: counters[STATS_BIRTHS],
+        deaths: counters[STATS_DEATHS],
+        bounds: counters[STATS_MIN_X] === NO_CHANGE ? null : {
+            minX: counters[STATS_MIN_X],
+            minY: counters[STATS_MIN_Y],
+            maxX: counters[STATS_MAX_X],
+            maxY: counters[STATS_MAX_Y],
+        },
+        hash: hashHex(counters, STATS_HASH),
+        steadyHash: hashHex(counters, STATS_STEADY_HASH),
+    };
+}
+
+function besideChance(state, x, y, width, height, topology) {
+    for (let i = -1; i <= 1; i++) {
+        for (let j = -1; j <= 1; j++) {
+            if (i === 0 && j === 0) continue;
+            const n = neighborCell(x + i, y + j, width, height, topology);
+            if (n.outside !== undefined) continue;
+            if (STATE_TABLE[stateIndex(state[n.y * width + n.x])].counts === COUNTS_CHANCE) return true;
+        }
+    }
+    return false;
+}
+
+// CPU version of statsMain
+export function countPopulation(state, previous, width, height, generation, topology) {
+    const counters = emptyCounters();
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const idx = y * width + x;
+            const current = stateIndex(state[idx]);
+            const before = stateIndex(previous[idx]);
+
+            counters[current]++;
+            if (current === STATE_ALIVE && before !== STATE_ALIVE) counters[STATS_BIRTHS]++;
+            if (before === STATE_ALIVE && current !== STATE_ALIVE) counters[STATS_DEATHS]++;
+            if (current !== before) {
+                counters[STATS_MIN_X] = Math.min(counters[STATS_MIN_X], x);
+                counters[STATS_MIN_Y] = Math.min(counters[STATS_MIN_Y], y);
+                counters[STATS_MAX_X] = Math.max(counters[STATS_MAX_X], x);
+                counters[STATS_MAX_Y] = Math.max(counters[STATS_MAX_Y], y);
+            }
+
+            if (current !== 0) {
+                const lo = hash32(hash32(hash32(x) ^ y) ^ current);
+                const hi = hash32(lo ^ 0x85ebca6b);
+                counters[STATS_HASH] += lo;
+                counters[STATS_HASH + 1] += hi;
+                if (current !== STATE_ALIVE || !besideChance(state, x, y, width, height, topology)) {
+                    counters[STATS_STEADY_HASH] += lo;
+                    counters[STATS_STEADY_HASH + 1] += hi;
+                }
+            }
+        }
+    }
+    return statsFromCounters(counters, generation);
+}
+
+// Share of cells that always count as live neighbours (alive and always alive)
+export function density(sample) {
+    const total = sample.counts.reduce((a, b) => a + b, 0);
+    const live = sample.counts.reduce((sum, count, s) => STATE_TABLE[s].counts === COUNTS_ALWAYS ? sum + count : sum, 0);
+    return total > 0 ? live / total : 0;
+}
+
+export function statsToCsv(samples) {
+    const header = ["generation", ...STATE_NAMES, "density", "births", "deaths", "minX", "minY", "maxX", "maxY"];
+    const rows = samples.map((s) => {
+        const b = s.bounds;
+        return [
+            s.generation,
+            ...s.counts,
+            density(s).toFixed(6),
+            s.births,
+            s.deaths,
+            b ? b.minX : "", b ? b.minY : "", b ? b.maxX : "", b ? b.maxY : "",
+        ].join(",");
+    });
+    return [header.join(","), ...rows].join("\n") + "\n";
+}
+
+// Rolling line chart of the newest samples; every series shares one
+// vertical scale so births and deaths stay comparable with the counts.
+// series: [{ color, value(sample) }]
+export function drawPopulationChart(ctx, samples, series) {
+    const { width, height } = ctx.canvas;
+    ctx.clearRect(0, 0, width, height);
+
+    const visible = samples.slice(-width);
+    if (visible.length < 2) return;
+
+    let max = 1;
+    for (const s of visible) {
+        for (const line of series) max = Math.max(max, line.value(s));
+    }
+
+    const stepX = width / (visible.length - 1);
+    ctx.lineWidth = 1;
+    for (const line of series) {
+        ctx.strokeStyle = line.color;
+        ctx.beginPath();
+        visible.forEach((s, i) => {
+            const y = height - 1 - (line.value(s) / max) * (height - 2);
+            if (i === 0) {
+                ctx.moveTo(0, y);
+            } else {
+                ctx.lineTo(i * stepX, y);
+            }
+        });
+        ctx.stroke();
+    }
+}
@@ -0,0 +1,46 @@
+// Seeded pseudo-random numbers (mulberry32), so soups can be reproduced.
+
+export function createRandom(seed) {
+    let a = seed >>> 0;
+    return function random() {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// hash32() from shaders.wgsl (lowbias32) in 32-bit integer arithmetic
+export function hash32(v) {
+    let x = v >>> 0;
+    x ^= x >>> 16;
+    x = Math.imul(x, 0x7feb352d);
+    x ^= x >>> 15;
+    x = Math.imul(x, 0x846ca68b);
+    x ^= x >>> 16;
+    return x >>> 0;
+}
+
+// chaosDraw() from shaders.wgsl: whether the cell at (x, y) counts as alive
+// for the neighbour in `direction`, given its threshold (see states.js)
+export function chaosDraw(seed, generation, x, y, direction, threshold) {
+    let h = hash32(seed);
+    h = hash32(h ^ generation);
+    h = hash32(h ^ x);
+    h = hash32(h ^ y);
+    h = hash32(h ^ direction);
+    return h >= threshold;
+}
+
+export function randomSeed() {
+    return Math.floor(Math.random() * 4294967296) >>> 0;
+}
+
+export function parseSeed(text) {
+    const value = String(text).trim();
+    if (!/^\d+$/.test(value) || Number(value) > 0xFFFFFFFF) {
+        throw new Error(`Seed must be a whole number from 0 to 4294967295, got "${text}".`);
+    }
+    return Number(value);
+}
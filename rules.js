@@ -0,0 +1,92 @@
+// Life-like rules in B/S notation.
+// A rule is stored as two 9-bit masks: bit n of `birth` is set when a dead
+// cell with n live neighbours is born, bit n of `survival` when a live cell
+// with n live neighbours survives.
+
+export const DEFAULT_RULE = "B3678/S34678";
+
+export const RULE_PRESETS = [
+    { name: "Day & Night", rule: "B3678/S34678" },
+    { name: "Conway's Life", rule: "B3/S23" },
+    { name: "HighLife", rule: "B36/S23" },
+    { name: "Seeds", rule: "B2/S" },
+    { name: "Morley", rule: "B368/S245" },
+    { name: "Life without Death", rule: "B3/S012345678" },
+    { name: "Diamoeba", rule: "B35678/S5678" },
+    { name: "2x2", rule: "B36/S125" },
+    { name: "Replicator", rule: "B1357/S1357" },
+    { name: "Maze", rule: "B3/S12345" },
+];
+
+// Golly-style names, matched case-insensitively with punctuation ignored
+const RULE_ALIASES = {
+    daynight: "B3678/S34678",
+    dayandnight: "B3678/S34678",
+    life: "B3/S23",
+    conway: "B3/S23",
+    conwayslife: "B3/S23",
+    gameoflife: "B3/S23",
+    highlife: "B36/S23",
+    seeds: "B2/S",
+    morley: "B368/S245",
+    move: "B368/S245",
+    lifewithoutdeath: "B3/S012345678",
+    diamoeba: "B35678/S5678",
+    "2x2": "B36/S125",
+    replicator: "B1357/S1357",
+    maze: "B3/S12345",
+};
+
+function digitsToMask(digits, text) {
+    let mask = 0;
+    for (const d of digits) {
+        const bit = 1 << parseInt(d);
+        if (mask & bit) {
+            throw new Error(`Invalid rule "${text}": neighbour count ${d} is listed twice.`);
+        }
+        mask |= bit;
+    }
+    return mask;
+}
+
+function maskToDigits(mask) {
+    let digits = "";
+    for (let n = 0; n <= 8; n++) {
+        if (mask & (1 << n)) digits += n;
+    }
+    return digits;
+}
+
+export function formatRule(birth, survival) {
+    return `B${maskToDigits(birth)}/S${maskToDigits(survival)}`;
+}
+
+// Accepts "B3678/S34678", "b3678s34678", "S34678/B3678", the classic
+// survival/birth form "34678/3678" and the names in RULE_ALIASES.
+// Returns { birth, survival, rulestring } or throws on malformed input.
+export function parseRule(text) {
+    const trimmed = String(text).trim();
+    if (!trimmed) {
+        throw new Error("Invalid rule: the rule is empty.");
+    }
+
+    const alias = RULE_ALIASES[trimmed.toLowerCase().replace(/[^a-z0-9]/g, "")];
+    const compact = (alias || trimmed).toUpperCase().replace(/\s+/g, "");
+
+    let birthDigits;
+    let survivalDigits;
+    let match;
+    if ((match = compact.match(/^B([0-8]*)\/?S([0-8]*)$/))) {
+        [, birthDigits, survivalDigits] = match;
+    } else if ((match = compact.match(/^S([0-8]*)\/?B([0-8]*)$/))) {
+        [, survivalDigits, birthDigits] = match;
+    } else if ((match = compact.match(/^([0-8]*)\/([0-8]*)$/))) {
+        [, survivalDigits, birthDigits] = match;
+    } else {
+        throw new Error(`Invalid rule "${trimmed}": expected B/S notation such as B3678/S34678.`);
+    }
+
+    const birth = digitsToMask(birthDigits, trimmed);
+    const survival = digitsToMask(survivalDigits, trimmed);
+    return { birth, survival, rulestring: formatRule(birth, survival) };
+}
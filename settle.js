@@ -0,0 +1,61 @@
+// Steady-state detection from per-generation board hashes. A board that
+// repeats the one P generations earlier, for P generations running, is
+// reported as static (P = 1) or as a period-P oscillation.
+
+export const DEFAULT_MAX_PERIOD = 100;
+
+// Consecutive generations enough to spot any period up to the default: a
+// period-P board shows after P generations plus P repeats
+export const SETTLE_WINDOW = 2 * DEFAULT_MAX_PERIOD;
+
+// Feed consecutive generations to push(); a gap (skipped readback, timeline
+// jump) starts the history over.
+export function createSettleDetector(maxPeriod = DEFAULT_MAX_PERIOD) {
+    let recent = []; // { generation, hash }, oldest first, at most maxPeriod + 1
+    let period = 0;
+    let repeats = 0; // consecutive generations matching the one `period` back
+
+    function reset() {
+        recent = [];
+        period = 0;
+        repeats = 0;
+    }
+
+    // Returns { period, since } once settled, otherwise null. `since` is
+    // the first generation of the repeating stretch.
+    function push(generation, hash) {
+        const last = recent[recent.length - 1];
+        if (last && generation !== last.generation + 1) reset();
+
+        let match = 0;
+        for (let i = recent.length - 1; i >= 0; i--) {
+            if (recent[i].hash === hash) {
+                match = generation - recent[i].generation;
+                break;
+            }
+        }
+
+        if (match > 0 && match === period) {
+            repeats++;
+        } else {
+            period = match;
+            repeats = match > 0 ? 1 : 0;
+        }
+
+        recent.push({ generation, hash });
+        if (recent.length > maxPeriod + 1) recent.shift();
+
+        // A period-1 board needs two repeats, so one equal pair isn't enough
+        if (period > 0 && repeats >= Math.max(period, 2)) {
+            return { period, since: generation - repeats - period + 1 };
+        }
+        return null;
+    }
+
+    return { push, reset };
+}
+
+export function describeSettle(settle) {
+    if (settle.period === 1) return `Static since gen ${settle.since}`;
+    return `Period-${settle.period} oscillation since gen ${settle.since}`;
+}
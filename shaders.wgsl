@@ -26,11 +26,170 @@ fn vertexMain(@builtin(vertex_index) vertexIndex: u32) -> VertexOutput {
 // Compute Shader
 @group(0) @binding(1) var cellStateIn: texture_2d<f32>;
 @group(0) @binding(2) var cellStateOut: texture_storage_2d<r32float, write>;
-@group(0) @binding(3) var<uniform> time: f32; // Time for PRNG
 
-// Pseudo-random number generator
-fn rand(co: vec2<f32>) -> f32 {
-    return fract(sin(dot(co, vec2<f32>(12.9898, 78.233))) * 43758.5453);
+// Seed and generation counter for the chaos PRNG
+struct SimUniforms {
+    seed: u32,
+    generation: u32,
+    _pad1: u32,
+    _pad2: u32,
+};
+
+@group(0) @binding(3) var<uniform> sim: SimUniforms;
+
+// Life-like rule as bitmasks: bit n set = birth/survival with n live neighbours
+struct RuleUniforms {
+    birth: u32,
+    survival: u32,
+    _pad1: u32,
+    _pad2: u32,
+};
+
+@group(0) @binding(10) var<uniform> rule: RuleUniforms;
+
+// Boundary topology (mode order matches topology.js)
+struct TopologyUniforms {
+    mode: u32,
+    _pad1: u32,
+    _pad2: u32,
+    _pad3: u32,
+};
+
+@group(0) @binding(11) var<uniform> topology: TopologyUniforms;
+
+const TOPOLOGY_TORUS: u32 = 0u;
+const TOPOLOGY_DEAD: u32 = 1u;
+const TOPOLOGY_ALIVE: u32 = 2u;
+const TOPOLOGY_MIRROR: u32 = 3u;
+const TOPOLOGY_KLEIN: u32 = 4u;
+const TOPOLOGY_PROJECTIVE: u32 = 5u;
+
+fn modi(a: i32, n: i32) -> i32 {
+    return ((a % n) + n) % n;
+}
+
+// Maps an unbounded cell coordinate onto the grid, as seen by the renderer
+// and the stamp tool. z is 1 for a grid cell, 0 when the coordinate lies
+// outside a bounded arena (dead edge, alive edge and mirror are not tiled).
+fn wrapCell(p: vec2<i32>, size: vec2<i32>) -> vec3<i32> {
+    let mode = topology.mode;
+    if (mode == TOPOLOGY_DEAD || mode == TOPOLOGY_ALIVE || mode == TOPOLOGY_MIRROR) {
+        if (p.x < 0 || p.y < 0 || p.x >= size.x || p.y >= size.y) {
+            return vec3<i32>(0, 0, 0);
+        }
+        return vec3<i32>(p, 1);
+    }
+
+    var c = vec2<i32>(modi(p.x, size.x), modi(p.y, size.y));
+    // Floor division, so tiles left of / above the grid count as -1
+    let tileX = (p.x - c.x) / size.x;
+    let tileY = (p.y - c.y) / size.y;
+
+    // Crossing the top/bottom edge mirrors x (Klein bottle, projective plane),
+    // crossing the left/right edge mirrors y (projective plane only)
+    if ((mode == TOPOLOGY_KLEIN || mode == TOPOLOGY_PROJECTIVE) && modi(tileY, 2) == 1) {
+        c.x = size.x - 1 - c.x;
+    }
+    if (mode == TOPOLOGY_PROJECTIVE && modi(tileX, 2) == 1) {
+        c.y = size.y - 1 - c.y;
+    }
+    return vec3<i32>(c, 1);
+}
+
+// Resolves a neighbour coordinate for the simulation step.
+// z is 1 for a grid cell, 0 for a dead border cell and 2 for an alive one.
+fn neighborCell(p: vec2<i32>, size: vec2<i32>) -> vec3<i32> {
+    if (topology.mode == TOPOLOGY_MIRROR) {
+        let r = select(p, -p - vec2<i32>(1), p < vec2<i32>(0));
+        return vec3<i32>(select(r, 2 * size - vec2<i32>(1) - r, r >= size), 1);
+    }
+    let c = wrapCell(p, size);
+    if (c.z == 0 && topology.mode == TOPOLOGY_ALIVE) {
+        return vec3<i32>(0, 0, 2);
+    }
+    return c;
+}
+
+// Integer hash (lowbias32); mirrored bit for bit by hash32 in random.js
+fn hash32(v: u32) -> u32 {
+    var x = v;
+    x ^= x >> 16u;
+    x *= 0x7feb352du;
+    x ^= x >> 15u;
+    x *= 0x846ca68bu;
+    x ^= x >> 16u;
+    return x;
+}
+
+// Counter-based draw for a cell that counts by chance, seen from one of its
+// 8 neighbours: depends only on the seed, the generation and the cell, never
+// on frame timing. It counts when the hash reaches the state's threshold.
+fn chaosDraw(cell: vec2<i32>, direction: u32, threshold: u32) -> bool {
+    var h = hash32(sim.seed);
+    h = hash32(h ^ sim.generation);
+    h = hash32(h ^ u32(cell.x));
+    h = hash32(h ^ u32(cell.y));
+    h = hash32(h ^ direction);
+    return h >= threshold;
+}
+
+// --- Cell States ---
+
+// Written once from CELL_STATES in states.js (see stateTableData), so the
+// shaders never name a state except dead and alive
+const MAX_STATES: u32 = 16u;
+const STATE_DEAD: u32 = 0u;
+const STATE_ALIVE: u32 = 1u;
+
+// flags
+const STATE_MUTABLE: u32 = 1u;
+const STATE_TRAIL: u32 = 2u;
+
+// What a cell adds to its neighbours' counts (order matches COUNTS_* in states.js)
+const COUNTS_NEVER: u32 = 0u;
+const COUNTS_ALWAYS: u32 = 1u;
+const COUNTS_CHANCE: u32 = 2u; // param: draw threshold
+const COUNTS_EVERY: u32 = 3u; // param: period in generations
+
+struct CellState {
+    flags: u32,
+    counts: u32,
+    param: u32,
+    toggle: u32, // state a toggle stamp turns the cell into
+};
+
+struct StateTable {
+    count: u32,
+    _pad1: u32,
+    _pad2: u32,
+    _pad3: u32,
+    states: array<CellState, MAX_STATES>,
+};
+
+@group(0) @binding(16) var<uniform> stateTable: StateTable;
+
+// The state a stored value stands for; stateIndex() in states.js
+fn stateOf(value: f32) -> u32 {
+    return u32(round(clamp(value, 0.0, f32(stateTable.count - 1u))));
+}
+
+fn hasFlag(state: u32, flag: u32) -> bool {
+    return (stateTable.states[state].flags & flag) != 0u;
+}
+
+// What a cell in `state` at `cell` adds to the count of the neighbour in `direction`
+fn neighbourValue(state: u32, cell: vec2<i32>, direction: u32) -> u32 {
+    let s = stateTable.states[state];
+    if (s.counts == COUNTS_ALWAYS) {
+        return 1u;
+    }
+    if (s.counts == COUNTS_CHANCE && chaosDraw(cell, direction, s.param)) {
+        return 1u;
+    }
+    if (s.counts == COUNTS_EVERY && sim.generation % s.param == 0u) {
+        return 1u;
+    }
+    return 0u;
 }
 
 @compute @workgroup_size(16, 16)
@@ -45,26 +204,15 @@ fn computeMain(@builtin(global_invocation_id) cell: vec3<u32>) {
         return;
     }
 
-    let currentState = textureLoad(cellStateIn, vec2<i32>(x, y), 0).r;
+    let currentState = stateOf(textureLoad(cellStateIn, vec2<i32>(x, y), 0).r);
 
-    // Immutable States
-    // State 2: Chaos (Random)
-    if (currentState > 1.5 && currentState < 2.5) {
-        textureStore(cellStateOut, vec2<i32>(x, y), vec4<f32>(2.0, 0.0, 0.0, 1.0));
-        return;
-    }
-    // State 3: Always Dead
-    if (currentState > 2.5 && currentState < 3.5) {
-        textureStore(cellStateOut, vec2<i32>(x, y), vec4<f32>(3.0, 0.0, 0.0, 1.0));
-        return;
-    }
-    // State 4: Always Alive
-    if (currentState > 3.5) {
-        textureStore(cellStateOut, vec2<i32>(x, y), vec4<f32>(4.0, 0.0, 0.0, 1.0));
+    // Immutable states keep their value
+    if (!hasFlag(currentState, STATE_MUTABLE)) {
+        textureStore(cellStateOut, vec2<i32>(x, y), vec4<f32>(f32(currentState), 0.0, 0.0, 1.0));
         return;
     }
 
-    var activeNeighbors = 0;
+    var activeNeighbors = 0u;
 
     for (var i = -1; i <= 1; i++) {
         for (var j = -1; j <= 1; j++) {
@@ -72,42 +220,36 @@ fn computeMain(@builtin(global_invocation_id) cell: vec3<u32>) {
                 continue;
             }
 
-            // Wrap edges
-            let nx = (x + i + width) % width;
-            let ny = (y + j + height) % height;
-
-            let neighborState = textureLoad(cellStateIn, vec2<i32>(nx, ny), 0).r;
-
-            if (neighborState > 0.5 && neighborState < 1.5) {
-                // Normal Alive (State 1)
-                activeNeighbors++;
-            } else if (neighborState > 1.5 && neighborState < 2.5) {
-                // Chaos (State 2) - Randomly contributes 0 or 1
-                let seed = vec2<f32>(f32(nx) + time * 10.0, f32(ny) + f32(i * 3 + j));
-                if (rand(seed) > 0.5) {
-                    activeNeighbors++;
-                }
-            } else if (neighborState > 3.5) {
-                // Always Alive (State 4) - Contributes 1
+            // Resolve edges through the selected topology
+            let n = neighborCell(vec2<i32>(x + i, y + j), vec2<i32>(width, height));
+            if (n.z == 2) {
+                // Alive border - Contributes 1
                 activeNeighbors++;
+                continue;
             }
-            // State 3 (Always Dead) contributes 0, so no check needed
+            if (n.z == 0) {
+                // Dead border - Contributes 0
+                continue;
+            }
+            let nx = n.x;
+            let ny = n.y;
+
+            let neighborState = stateOf(textureLoad(cellStateIn, vec2<i32>(nx, ny), 0).r);
+            activeNeighbors += neighbourValue(neighborState, vec2<i32>(nx, ny), u32((i + 1) * 3 + (j + 1)));
         }
     }
 
-    // Day and Night Rules (B3678/S34678)
-    // 0 = Dead, 1 = Alive
-    var nextState = 0.0;
-    if (currentState > 0.5) {
-        // Survival: 3, 4, 6, 7, 8
-        if (activeNeighbors == 3 || activeNeighbors == 4 || activeNeighbors == 6 || activeNeighbors == 7 || activeNeighbors == 8) {
-            nextState = 1.0;
-        }
-    } else {
-        // Birth: 3, 6, 7, 8
-        if (activeNeighbors == 3 || activeNeighbors == 6 || activeNeighbors == 7 || activeNeighbors == 8) {
-            nextState = 1.0;
-        }
+    // Life-like Rules (B/S masks, Day and Night = B3678/S34678)
+    // A mutable cell that counts as alive survives by the survival mask,
+    // any other is born by the birth mask; either way it ends dead or alive
+    var mask = rule.birth;
+    if (stateTable.states[currentState].counts == COUNTS_ALWAYS) {
+        mask = rule.survival;
+    }
+
+    var nextState = f32(STATE_DEAD);
+    if (((mask >> activeNeighbors) & 1u) == 1u) {
+        nextState = f32(STATE_ALIVE);
     }
 
     textureStore(cellStateOut, vec2<i32>(x, y), vec4<f32>(nextState, 0.0, 0.0, 1.0));
@@ -115,9 +257,21 @@ fn computeMain(@builtin(global_invocation_id) cell: vec3<u32>) {
 
 // --- Stamp Tool Shader ---
 
+// mode order matches STAMP_MODE_* in paint-tools.js
+const STAMP_MODE_TOGGLE = 0u;
+const STAMP_MODE_PAINT = 1u;
+const STAMP_MODE_OVERWRITE = 2u;
+const STAMP_MODE_OR = 3u;
+const STAMP_MODE_AND_NOT = 4u;
+const STAMP_MODE_AS_STATE = 5u;
+
 struct StampUniforms {
     clickPos: vec2<i32>,
     patternSize: vec2<i32>,
+    mode: u32,
+    state: u32, // target state for STAMP_MODE_AS_STATE
+    _pad1: u32,
+    _pad2: u32,
 };
 
 @group(0) @binding(4) var<uniform> stampUniforms: StampUniforms;
@@ -135,37 +289,61 @@ fn stampMain(@builtin(global_invocation_id) cell: vec3<u32>) {
         return;
     }
 
-    // Calculate Grid Coordinate with Wrapping
-    // gridX = (clickPos.x + px) % 256
+    // Calculate Grid Coordinate through the topology
+    // clickPos is the unwrapped world cell, so the stamp lands where the ghost was drawn
     let width = i32(textureDimensions(cellStateIn).x);
     let height = i32(textureDimensions(cellStateIn).y);
     
-    let gridX = (stampUniforms.clickPos.x + px) % width;
-    let gridY = (stampUniforms.clickPos.y + py) % height;
+    let dest = wrapCell(stampUniforms.clickPos + vec2<i32>(px, py), vec2<i32>(width, height));
     
-    // Handle negative wrapping (if clickPos was negative? Though usually we pass positive)
-    let gx = select(gridX, gridX + width, gridX < 0);
-    let gy = select(gridY, gridY + height, gridY < 0);
+    // Cells that fall off a bounded arena are dropped
+    if (dest.z == 0) {
+        return;
+    }
+    let gx = dest.x;
+    let gy = dest.y;
 
     let patternIndex = py * stampUniforms.patternSize.x + px;
     let patternVal = patternData[patternIndex];
+
+    // Paint strokes store state + 1, so 0 still means "leave the cell alone"
+    if (stampUniforms.mode == STAMP_MODE_PAINT) {
+        if (patternVal > 0u) {
+            textureStore(cellStateOut, vec2<i32>(gx, gy), vec4<f32>(f32(patternVal - 1u), 0.0, 0.0, 1.0));
+        }
+        return;
+    }
+
+    // Overwrite replaces the whole pattern box, empty cells included
+    if (stampUniforms.mode == STAMP_MODE_OVERWRITE) {
+        textureStore(cellStateOut, vec2<i32>(gx, gy), vec4<f32>(f32(patternVal), 0.0, 0.0, 1.0));
+        return;
+    }
+
+    // The remaining modes only touch the pattern's live cells
+    if (stampUniforms.mode != STAMP_MODE_TOGGLE) {
+        if (patternVal == 0u) {
+            return;
+        }
+        var written = f32(patternVal); // STAMP_MODE_OR
+        if (stampUniforms.mode == STAMP_MODE_AND_NOT) {
+            written = 0.0;
+        } else if (stampUniforms.mode == STAMP_MODE_AS_STATE) {
+            written = f32(stampUniforms.state);
+        }
+        textureStore(cellStateOut, vec2<i32>(gx, gy), vec4<f32>(written, 0.0, 0.0, 1.0));
+        return;
+    }
     
     if (patternVal == 1u) {
-        let currentState = textureLoad(cellStateIn, vec2<i32>(gx, gy), 0).r;
-        var nextState = currentState;
-        
-        // FLIP LOGIC
-        if (currentState > -0.5 && currentState < 0.5) { // 0
-            nextState = 1.0;
-        } else if (currentState > 0.5 && currentState < 1.5) { // 1
-            nextState = 0.0;
-        } else if (currentState > 2.5 && currentState < 3.5) { // 3 (Always Dead)
-            nextState = 4.0;
-        } else if (currentState > 3.5 && currentState < 4.5) { // 4 (Always Alive)
-            nextState = 3.0;
-        }
+        // FLIP LOGIC: each state turns into its toggle partner from the state table
+        let currentState = stateOf(textureLoad(cellStateIn, vec2<i32>(gx, gy), 0).r);
+        let nextState = stateTable.states[currentState].toggle;
         
-        textureStore(cellStateOut, vec2<i32>(gx, gy), vec4<f32>(nextState, 0.0, 0.0, 1.0));
+        textureStore(cellStateOut, vec2<i32>(gx, gy), vec4<f32>(f32(nextState), 0.0, 0.0, 1.0));
+    } else if (patternVal > 1u) {
+        // Multi-state patterns (RLE / Macrocell imports) write their state directly
+        textureStore(cellStateOut, vec2<i32>(gx, gy), vec4<f32>(f32(patternVal), 0.0, 0.0, 1.0));
     } else {
         // If pattern is 0, we do NOTHING?
         // Wait, if we only dispatch for the pattern, we are NOT copying the rest of the grid!
@@ -215,14 +393,12 @@ fn historyMain(@builtin(global_invocation_id) cell: vec3<u32>) {
         return;
     }
 
-    let currentState = textureLoad(cellStateIn, vec2<i32>(x, y), 0).r;
+    let currentState = stateOf(textureLoad(cellStateIn, vec2<i32>(x, y), 0).r);
     let oldHistory = textureLoad(historyIn, vec2<i32>(x, y), 0).r;
     
     var newHistory = oldHistory * historyUniforms.decay;
     
-    if (currentState > 0.5 && currentState < 1.5) {
-        newHistory = 1.0;
-    } else if (currentState > 3.5) {
+    if (hasFlag(currentState, STATE_TRAIL)) {
         newHistory = 1.0;
     }
     
@@ -233,20 +409,149 @@ fn historyMain(@builtin(global_invocation_id) cell: vec3<u32>) {
     textureStore(historyOut, vec2<i32>(x, y), vec4<f32>(newHistory, 0.0, 0.0, 1.0));
 }
 
+// --- Population Statistics Shader ---
+
+// Counter layout matches population.js: cells per state (MAX_STATES slots),
+// births, deaths, the bounding box of changed cells (minX, minY, maxX, maxY),
+// then two 64-bit board hashes as lo/hi pairs: every cell, and every cell
+// whose next state does not hang on a coin flip
+const STATS_BIRTHS = MAX_STATES;
+const STATS_DEATHS = MAX_STATES + 1u;
+const STATS_MIN_X = MAX_STATES + 2u;
+const STATS_MIN_Y = MAX_STATES + 3u;
+const STATS_MAX_X = MAX_STATES + 4u;
+const STATS_MAX_Y = MAX_STATES + 5u;
+const STATS_HASH = MAX_STATES + 6u;
+const STATS_STEADY_HASH = MAX_STATES + 8u;
+const STATS_COUNTERS = MAX_STATES + 10u;
+
+@group(0) @binding(12) var previousState: texture_2d<f32>;
+@group(0) @binding(13) var<storage, read_write> statsCounters: array<atomic<u32>, STATS_COUNTERS>;
+
+// Each workgroup reduces its tile here first, then adds one value per counter
+var<workgroup> tileCounters: array<atomic<u32>, STATS_COUNTERS>;
+
+// True when a state that counts by chance is among the 8 neighbours
+fn besideChance(p: vec2<i32>, size: vec2<i32>) -> bool {
+    for (var i = -1; i <= 1; i++) {
+        for (var j = -1; j <= 1; j++) {
+            if (i == 0 && j == 0) {
+                continue;
+            }
+            let n = neighborCell(p + vec2<i32>(i, j), size);
+            if (n.z == 1) {
+                let s = stateOf(textureLoad(cellStateIn, n.xy, 0).r);
+                if (stateTable.states[s].counts == COUNTS_CHANCE) {
+                    return true;
+                }
+            }
+        }
+    }
+    return false;
+}
+
+@compute @workgroup_size(16, 16)
+fn statsMain(@builtin(global_invocation_id) cell: vec3<u32>, @builtin(local_invocation_index) local: u32) {
+    if (local < STATS_COUNTERS) {
+        var initial = 0u;
+        if (local == STATS_MIN_X || local == STATS_MIN_Y) {
+            initial = 0xFFFFFFFFu;
+        }
+        atomicStore(&tileCounters[local], initial);
+    }
+    workgroupBarrier();
+
+    // No early return: every invocation has to reach the barriers
+    let size = textureDimensions(cellStateIn);
+    if (cell.x < size.x && cell.y < size.y) {
+        let p = vec2<i32>(cell.xy);
+        let current = stateOf(textureLoad(cellStateIn, p, 0).r);
+        let previous = stateOf(textureLoad(previousState, p, 0).r);
+
+        atomicAdd(&tileCounters[current], 1u);
+        if (current == STATE_ALIVE && previous != STATE_ALIVE) {
+            atomicAdd(&tileCounters[STATS_BIRTHS], 1u);
+        }
+        if (previous == STATE_ALIVE && current != STATE_ALIVE) {
+            atomicAdd(&tileCounters[STATS_DEATHS], 1u);
+        }
+        if (current != previous) {
+            atomicMin(&tileCounters[STATS_MIN_X], cell.x);
+            atomicMin(&tileCounters[STATS_MIN_Y], cell.y);
+            atomicMax(&tileCounters[STATS_MAX_X], cell.x);
+            atomicMax(&tileCounters[STATS_MAX_Y], cell.y);
+        }
+
+        // Order-independent hash: a sum of per-cell hashes, dead cells add nothing
+        if (current != 0u) {
+            let lo = hash32(hash32(hash32(cell.x) ^ cell.y) ^ current);
+            let hi = hash32(lo ^ 0x85ebca6bu);
+            atomicAdd(&tileCounters[STATS_HASH], lo);
+            atomicAdd(&tileCounters[STATS_HASH + 1u], hi);
+            if (current != STATE_ALIVE || !besideChance(p, vec2<i32>(size))) {
+                atomicAdd(&tileCounters[STATS_STEADY_HASH], lo);
+                atomicAdd(&tileCounters[STATS_STEADY_HASH + 1u], hi);
+            }
+        }
+    }
+    workgroupBarrier();
+
+    if (local < STATS_COUNTERS) {
+        let value = atomicLoad(&tileCounters[local]);
+        if (local == STATS_MIN_X || local == STATS_MIN_Y) {
+            atomicMin(&statsCounters[local], value);
+        } else if (local == STATS_MAX_X || local == STATS_MAX_Y) {
+            atomicMax(&statsCounters[local], value);
+        } else {
+            atomicAdd(&statsCounters[local], value);
+        }
+    }
+}
+
+// --- Activity Heatmap Shader ---
+
+// Per-cell births, deaths and state flips, interleaved as in activity.js.
+// One invocation per cell, so plain increments are enough.
+@group(0) @binding(14) var<storage, read_write> activityCounts: array<u32>;
+
+@compute @workgroup_size(16, 16)
+fn activityMain(@builtin(global_invocation_id) cell: vec3<u32>) {
+    let size = textureDimensions(cellStateIn);
+    if (cell.x >= size.x || cell.y >= size.y) {
+        return;
+    }
+
+    let p = vec2<i32>(cell.xy);
+    let current = stateOf(textureLoad(cellStateIn, p, 0).r);
+    let previous = stateOf(textureLoad(previousState, p, 0).r);
+    if (current == previous) {
+        return;
+    }
+
+    let base = (cell.y * size.x + cell.x) * 3u;
+    if (current == STATE_ALIVE) {
+        activityCounts[base] += 1u;
+    }
+    if (previous == STATE_ALIVE) {
+        activityCounts[base + 1u] += 1u;
+    }
+    activityCounts[base + 2u] += 1u;
+}
+
 // Fragment Shader
+// One colour per state in stateTable order, then the trail (paletteToFloats in palette.js)
 struct Palette {
-    bg: vec4<f32>,
-    fg: vec4<f32>,
-    chaos: vec4<f32>,
-    alwaysDead: vec4<f32>,
-    alwaysAlive: vec4<f32>,
-    trail: vec4<f32>, // Added Trail Color
+    states: array<vec4<f32>, MAX_STATES>,
+    trail: vec4<f32>,
 };
 
 struct ViewUniforms {
     offset: vec2<f32>,
     scale: f32,
     _pad: f32,
+    // Share of the canvas the board covers per axis at zoom 1 (letterboxing)
+    fit: vec2<f32>,
+    _pad2: vec2<f32>,
 };
 
 @group(0) @binding(0) var<uniform> palette: Palette;
@@ -254,28 +559,52 @@ struct ViewUniforms {
 @group(0) @binding(6) var<uniform> view: ViewUniforms;
 @group(0) @binding(8) var historyTexture: texture_2d<f32>;
 
+struct HeatmapUniforms {
+    visible: u32,
+    metric: u32, // index into the counts of a cell
+    logScale: u32,
+    generations: u32, // counted so far, the top of the scale
+};
+
+@group(0) @binding(15) var<uniform> heatmap: HeatmapUniforms;
+// The same buffer activityMain writes, read only here
+@group(0) @binding(14) var<storage, read> activityView: array<u32>;
+
+// Same scale and colours as heatLevel() and heatColor() in activity.js
+fn heatLevel(count: u32) -> f32 {
+    let total = f32(heatmap.generations);
+    if (count == 0u || total == 0.0) {
+        return 0.0;
+    }
+    var level = f32(count) / total;
+    if (heatmap.logScale != 0u) {
+        level = log2(1.0 + f32(count)) / log2(1.0 + total);
+    }
+    return min(level, 1.0);
+}
+
+fn heatColor(level: f32) -> vec3<f32> {
+    return vec3<f32>(smoothstep(0.0, 0.35, level), smoothstep(0.3, 0.75, level), smoothstep(0.7, 1.0, level));
+}
+
 @fragment
 fn fragmentMain(@location(0) uv: vec2<f32>) -> @location(0) vec4<f32> {
     let size = vec2<f32>(textureDimensions(cellTexture));
     
-    let world_uv = fract((uv / view.scale) - view.offset);
+    let board_uv = (uv - 0.5) / view.fit + 0.5;
+    let world_uv = (board_uv / view.scale) - view.offset;
     
-    let coords = vec2<i32>(world_uv * size);
+    let cell = wrapCell(vec2<i32>(floor(world_uv * size)), vec2<i32>(size));
+    if (cell.z == 0) {
+        // Outside a bounded arena
+        return vec4<f32>(0.0, 0.0, 0.0, 1.0);
+    }
+    let coords = cell.xy;
     let state = textureLoad(cellTexture, coords, 0).r;
     let history = textureLoad(historyTexture, coords, 0).r;
     
-    var color = palette.bg;
-    
     // Base Color Logic
-    if (state > 3.5) {
-        color = palette.alwaysAlive;
-    } else if (state > 2.5) {
-        color = palette.alwaysDead;
-    } else if (state > 1.5) {
-        color = palette.chaos;
-    } else if (state > 0.5) {
-        color = palette.fg;
-    }
+    var color = palette.states[stateOf(state)];
     
     // Trail Overlay
     // We mix the trail color on top based on history value.
@@ -291,5 +620,15 @@ fn fragmentMain(@location(0) uv: vec2<f32>) -> @location(0) vec4<f32> {
         color = mix(color, palette.trail, trailAlpha);
     }
     
+    // Activity heatmap: the board dims and every cell that changed takes its heat colour
+    if (heatmap.visible != 0u) {
+        let index = (u32(coords.y) * u32(size.x) + u32(coords.x)) * 3u + heatmap.metric;
+        let count = activityView[index];
+        color = vec4<f32>(color.rgb * 0.25, color.a);
+        if (count > 0u) {
+            color = vec4<f32>(mix(color.rgb, heatColor(heatLevel(count)), 0.9), color.a);
+        }
+    }
+
     return color;
 }
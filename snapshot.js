@@ -0,0 +1,152 @@
+// World snapshots: one versioned JSON file holding the settings plus the
+// state and trail planes, gzip-compressed and base64-encoded.
+
+import { PALETTE_SLOTS } from "./palette.js";
+import { CELL_STATES } from "./states.js";
+
+export const SNAPSHOT_FORMAT = "ai-cellular-automata-world";
+export const SNAPSHOT_VERSION = 2;
+
+// MIGRATIONS[n] upgrades a version-n snapshot to version n + 1
+const MIGRATIONS = {
+    // v2 adds the PRNG seed; v1 chaos draws were time-based and can't be replayed anyway
+    1: (snapshot) => ({ ...snapshot, version: 2, seed: 0 }),
+};
+
+function bytesToBase64(bytes) {
+    let binary = "";
+    const chunk = 0x8000;
+    for (let i = 0; i < bytes.length; i += chunk) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunk));
+    }
+    return btoa(binary);
+}
+
+function base64ToBytes(text) {
+    const binary = atob(text);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+function corrupt(detail) {
+    return new Error(`World snapshot is corrupt: ${detail}.`);
+}
+
+// The settings decodeSnapshot hands back as they are; rule, topology and
+// seed are checked by the caller with the usual parsers. Colours missing
+// from the palette are allowed, for snapshots saved before a state was added.
+function checkSettings(snapshot) {
+    const { width, height, generation, palette, trails, view } = snapshot;
+    if (!Number.isInteger(width) || !Number.isInteger(height) || width < 1 || height < 1) {
+        throw corrupt(`the grid size ${width}x${height} is not valid`);
+    }
+    if (!Number.isInteger(generation) || generation < 0 || generation > 0xFFFFFFFF) {
+        throw corrupt(`the generation must be a whole number from 0 to 4294967295, got ${generation}`);
+    }
+    if (!palette || typeof palette !== "object") {
+        throw corrupt("the palette is missing");
+    }
+    for (const slot of PALETTE_SLOTS) {
+        if (palette[slot] !== undefined && !/^#[0-9a-f]{6}$/i.test(palette[slot])) {
+            throw corrupt(`the ${slot} colour "${palette[slot]}" is not a #rrggbb colour`);
+        }
+    }
+    if (!trails || typeof trails.active !== "boolean" || !(trails.decay > 0 && trails.decay < 1)) {
+        throw corrupt("the trails need an on/off flag and a decay between 0 and 1");
+    }
+    if (!view || ![view.zoom, view.panX, view.panY].every(Number.isFinite) || view.zoom < 0.5 || view.zoom > 50) {
+        throw corrupt("the view needs a zoom from 0.5 to 50 and a finite pan");
+    }
+}
+
+async function gzip(bytes) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream("gzip"));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+async function gunzip(bytes) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream("gzip"));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// world: { width, height, generation, seed, rule, topology, palette, trails, view, state, history }
+// with state/history as Float32Arrays from engine.readState()
+export async function encodeSnapshot(world) {
+    const cells = Uint8Array.from(world.state, s => Math.round(s));
+    const history = new Uint8Array(world.history.buffer, world.history.byteOffset, world.history.byteLength);
+
+    return JSON.stringify({
+        format: SNAPSHOT_FORMAT,
+        version: SNAPSHOT_VERSION,
+        width: world.width,
+        height: world.height,
+        generation: world.generation,
+        seed: world.seed,
+        rule: world.rule,
+        topology: world.topology,
+        palette: world.palette,
+        trails: world.trails,
+        view: world.view,
+        cells: bytesToBase64(await gzip(cells)),
+        history: bytesToBase64(await gzip(history)),
+    });
+}
+
+export async function decodeSnapshot(text) {
+    let snapshot;
+    try {
+        snapshot = JSON.parse(text);
+    } catch (err) {
+        throw new Error("Not a world snapshot: the file is not valid JSON.");
+    }
+    if (!snapshot || snapshot.format !== SNAPSHOT_FORMAT) {
+        throw new Error("Not a world snapshot: unknown file format.");
+    }
+    if (!Number.isInteger(snapshot.version) || snapshot.version < 1) {
+        throw new Error(`World snapshot has an invalid version (${snapshot.version}).`);
+    }
+    if (snapshot.version > SNAPSHOT_VERSION) {
+        throw new Error(`World snapshot version ${snapshot.version} was saved by a newer version of the app (this one reads up to ${SNAPSHOT_VERSION}).`);
+    }
+
+    while (snapshot.version < SNAPSHOT_VERSION) {
+        const migrate = MIGRATIONS[snapshot.version];
+        if (!migrate) {
+            throw new Error(`World snapshot version ${snapshot.version} can no longer be loaded.`);
+        }
+        snapshot = migrate(snapshot);
+    }
+
+    checkSettings(snapshot);
+
+    const cellCount = snapshot.width * snapshot.height;
+    let cells, historyBytes;
+    try {
+        cells = await gunzip(base64ToBytes(snapshot.cells));
+        historyBytes = await gunzip(base64ToBytes(snapshot.history));
+    } catch (err) {
+        throw corrupt("the cell data can't be unpacked");
+    }
+    if (cells.length !== cellCount || historyBytes.length !== cellCount * 4) {
+        throw corrupt("the cell data does not match the grid size");
+    }
+    for (let i = 0; i < cells.length; i++) {
+        if (cells[i] >= CELL_STATES.length) {
+            throw corrupt(`cell ${i % snapshot.width},${Math.floor(i / snapshot.width)} has unknown state ${cells[i]}`);
+        }
+    }
+
+    const history = new Float32Array(historyBytes.buffer, historyBytes.byteOffset, cellCount);
+    if (!history.every(h => h >= 0 && h <= 1)) {
+        throw corrupt("the trails hold values outside 0 to 1");
+    }
+
+    return {
+        ...snapshot,
+        state: Float32Array.from(cells),
+        history,
+    };
+}
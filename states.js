@@ -0,0 +1,120 @@
+// Cell states as stored in the state textures: a cell's value is its index
+// in CELL_STATES. Everything that treats the states differently works from
+// this table (the shaders through stateTableData, the CPU engine, HashLife,
+// the palette, the stamp and paint state lists and the pattern icons), so a
+// new state is one more entry. Dead and alive stay first: empty boards,
+// pattern data and the birth and death counts rely on 0 and 1.
+
+import { chaosDraw } from "./random.js";
+
+// One entry per state, in stored-value order:
+//   name     id used in counts, the CLI output and the stats CSV
+//   label    display name; short, if given, is used under the colour pickers
+//   slot     palette key (dead and alive keep the palette's bg and fg)
+//   color    default palette colour
+//   counts   what the cell adds to a neighbour's count: 0, 1, { chance: p }
+//            for a fresh draw per neighbour and generation, or { every: n }
+//            for 1 on every nth generation and 0 otherwise
+//   mutable  whether the rule applies: a mutable cell that counts as 1
+//            survives by the survival mask, any other is born by the birth
+//            mask, and either way becomes dead or alive. Others never change.
+//   trail    whether the cell leaves a trail
+//   toggle   the state a toggle stamp turns it into (itself if omitted)
+export const CELL_STATES = [
+    { name: "dead", label: "Dead", slot: "bg", color: "#29AE93", counts: 0, mutable: true, trail: false, toggle: "alive" },
+    { name: "alive", label: "Alive", slot: "fg", color: "#00FFCC", counts: 1, mutable: true, trail: true, toggle: "dead" },
+    { name: "chaos", label: "Chaos", slot: "chaos", color: "#FFA500", counts: { chance: 0.5 }, mutable: false, trail: false },
+    { name: "alwaysDead", label: "Always Dead", short: "A-Dead", slot: "alwaysDead", color: "#003300", counts: 0, mutable: false, trail: false, toggle: "alwaysAlive" },
+    { name: "alwaysAlive", label: "Always Alive", short: "A-Alive", slot: "alwaysAlive", color: "#CCFFCC", counts: 1, mutable: false, trail: true, toggle: "alwaysDead" },
+];
+
+// Size of the state tables in shaders.wgsl
+export const MAX_STATES = 16;
+
+export const STATE_DEAD = 0;
+export const STATE_ALIVE = 1;
+
+export const STATE_NAMES = CELL_STATES.map(s => s.name);
+
+// Display names, indexed like STATE_NAMES
+export const STATE_LABELS = CELL_STATES.map(s => s.label);
+
+// How a state counts for its neighbours (order matches COUNTS_* in shaders.wgsl)
+export const COUNTS_NEVER = 0;
+export const COUNTS_ALWAYS = 1;
+export const COUNTS_CHANCE = 2;
+export const COUNTS_EVERY = 3;
+
+export function stateId(name) {
+    const id = STATE_NAMES.indexOf(name);
+    if (id < 0) throw new Error(`Unknown cell state "${name}".`);
+    return id;
+}
+
+// counts -> { mode, param }; param is the draw threshold for COUNTS_CHANCE
+// (a hash at or above it counts, so p = 0.5 is the hash's top bit) and the
+// period for COUNTS_EVERY
+function countRule(state) {
+    const { counts } = state;
+    if (counts === 0 || counts === 1) return { mode: counts, param: 0 };
+    if (counts?.chance !== undefined) {
+        if (counts.chance <= 0) return { mode: COUNTS_NEVER, param: 0 };
+        if (counts.chance >= 1) return { mode: COUNTS_ALWAYS, param: 0 };
+        return { mode: COUNTS_CHANCE, param: Math.min(Math.round((1 - counts.chance) * 2 ** 32), 0xFFFFFFFF) };
+    }
+    if (Number.isInteger(counts?.every) && counts.every >= 1) return { mode: COUNTS_EVERY, param: counts.every };
+    throw new Error(`Cell state "${state.name}": counts must be 0, 1, { chance } or { every }.`);
+}
+
+if (CELL_STATES.length > MAX_STATES) {
+    throw new Error(`At most ${MAX_STATES} cell states fit the shader tables.`);
+}
+
+// CELL_STATES resolved for the engines: { mutable, trail, counts, param, toggle }
+// with counts a COUNTS_* mode and toggle a state index
+export const STATE_TABLE = CELL_STATES.map((state, id) => {
+    const { mode, param } = countRule(state);
+    return {
+        mutable: state.mutable,
+        trail: state.trail,
+        counts: mode,
+        param,
+        toggle: state.toggle === undefined ? id : stateId(state.toggle),
+    };
+});
+
+// StateTable uniform of shaders.wgsl: the number of states, then per state
+// flags (1 mutable, 2 trail), count mode, its parameter and the toggle target
+export function stateTableData() {
+    const data = new Uint32Array(4 + MAX_STATES * 4);
+    data[0] = CELL_STATES.length;
+    STATE_TABLE.forEach((s, i) => {
+        data.set([(s.mutable ? 1 : 0) | (s.trail ? 2 : 0), s.counts, s.param, s.toggle], 4 + i * 4);
+    });
+    return data;
+}
+
+// stateOf() from shaders.wgsl: the state a stored value stands for
+export function stateIndex(value) {
+    return Math.round(Math.min(Math.max(value, 0), CELL_STATES.length - 1));
+}
+
+// neighbourValue() from shaders.wgsl: what a cell in `state` at (x, y) adds
+// to the count of the neighbour in `direction` this generation
+export function neighbourValue(state, seed, generation, x, y, direction) {
+    const { counts, param } = STATE_TABLE[state];
+    if (counts === COUNTS_ALWAYS) return 1;
+    if (counts === COUNTS_CHANCE) return chaosDraw(seed, generation, x, y, direction, param) ? 1 : 0;
+    if (counts === COUNTS_EVERY) return generation % param === 0 ? 1 : 0;
+    return 0;
+}
+
+// Per-state population counts, indexed like STATE_NAMES
+export function countStates(state) {
+    const counts = new Array(STATE_NAMES.length).fill(0);
+    for (let i = 0; i < state.length; i++) {
+        const s = Math.round(state[i]);
+        if (s >= 0 && s < counts.length) counts[s]++;
+    }
+    return counts;
+}
@@ -0,0 +1,70 @@
+// Boundary topologies.
+// The index of each entry is the `mode` value written to the topology
+// uniform, so the order must match the TOPOLOGY_* constants in shaders.wgsl.
+
+export const TOPOLOGIES = [
+    { id: "torus", name: "Torus" },
+    { id: "dead", name: "Dead edge" },
+    { id: "alive", name: "Alive edge" },
+    { id: "mirror", name: "Mirror" },
+    { id: "klein", name: "Klein bottle" },
+    { id: "projective", name: "Projective plane" },
+];
+
+export const TOPOLOGY_TORUS = 0;
+export const TOPOLOGY_DEAD = 1;
+export const TOPOLOGY_ALIVE = 2;
+export const TOPOLOGY_MIRROR = 3;
+export const TOPOLOGY_KLEIN = 4;
+export const TOPOLOGY_PROJECTIVE = 5;
+
+export function topologyIndex(id) {
+    const index = TOPOLOGIES.findIndex(t => t.id === id);
+    if (index < 0) {
+        throw new Error(`Unknown topology "${id}".`);
+    }
+    return index;
+}
+
+function mod(a, n) {
+    return ((a % n) + n) % n;
+}
+
+// Maps an unbounded cell coordinate onto the grid, the way the renderer and
+// the stamp tool see it. Returns null when the coordinate lies outside a
+// bounded arena (dead edge, alive edge and mirror are not tiled).
+export function wrapCell(x, y, width, height, mode) {
+    if (mode === TOPOLOGY_DEAD || mode === TOPOLOGY_ALIVE || mode === TOPOLOGY_MIRROR) {
+        if (x < 0 || y < 0 || x >= width || y >= height) return null;
+        return { x, y };
+    }
+
+    let cx = mod(x, width);
+    let cy = mod(y, height);
+    const tileX = Math.floor(x / width);
+    const tileY = Math.floor(y / height);
+
+    // Crossing the top/bottom edge mirrors x (Klein bottle, projective plane),
+    // crossing the left/right edge mirrors y (projective plane only)
+    if ((mode === TOPOLOGY_KLEIN || mode === TOPOLOGY_PROJECTIVE) && mod(tileY, 2) === 1) {
+        cx = width - 1 - cx;
+    }
+    if (mode === TOPOLOGY_PROJECTIVE && mod(tileX, 2) === 1) {
+        cy = height - 1 - cy;
+    }
+    return { x: cx, y: cy };
+}
+
+// Resolves a neighbour coordinate for the simulation step.
+// Returns { x, y } for a grid cell, or { outside: 0 | 1 } for the fixed
+// border of the dead/alive edge topologies.
+export function neighborCell(x, y, width, height, mode) {
+    if (mode === TOPOLOGY_MIRROR) {
+        const rx = x < 0 ? -x - 1 : (x >= width ? 2 * width - 1 - x : x);
+        const ry = y < 0 ? -y - 1 : (y >= height ? 2 * height - 1 - y : y);
+        return { x: rx, y: ry };
+    }
+    const cell = wrapCell(x, y, width, height, mode);
+    if (cell) return cell;
+    return { outside: mode === TOPOLOGY_ALIVE ? 1 : 0 };
+}
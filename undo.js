@@ -0,0 +1,113 @@
+// Undo/redo for board edits. Each entry is a whole-board snapshot (the
+// simulation may have run since the edit, so diffs against the current board
+// would not apply), one byte per cell and run-length packed when that is
+// smaller. The oldest entries are dropped to stay within the memory budget.
+
+export const DEFAULT_UNDO_BUDGET_MB = 64;
+
+// (state, run length) byte pairs, runs capped at 255
+function packCells(cells) {
+    const packed = [];
+    let i = 0;
+    while (i < cells.length) {
+        const value = cells[i];
+        let run = 1;
+        while (run < 255 && i + run < cells.length && cells[i + run] === value) run++;
+        packed.push(value, run);
+        i += run;
+        if (packed.length >= cells.length) return null;
+    }
+    return Uint8Array.from(packed);
+}
+
+function unpackCells(packed, cellCount) {
+    const cells = new Float32Array(cellCount);
+    let offset = 0;
+    for (let i = 0; i < packed.length; i += 2) {
+        cells.fill(packed[i], offset, offset + packed[i + 1]);
+        offset += packed[i + 1];
+    }
+    return cells;
+}
+
+// board: { width, height, generation, state } with state from engine.readState()
+function createEntry(board) {
+    const cells = Uint8Array.from(board.state, s => Math.round(s));
+    const packed = packCells(cells);
+    return {
+        width: board.width,
+        height: board.height,
+        generation: board.generation,
+        packed: packed !== null,
+        data: packed || cells,
+    };
+}
+
+function restoreEntry(entry) {
+    const cellCount = entry.width * entry.height;
+    return {
+        width: entry.width,
+        height: entry.height,
+        generation: entry.generation,
+        state: entry.packed ? unpackCells(entry.data, cellCount) : Float32Array.from(entry.data),
+    };
+}
+
+export function createUndoHistory(budgetBytes) {
+    let budget = budgetBytes;
+    const undoStack = [];
+    const redoStack = [];
+
+    function usage() {
+        let bytes = 0;
+        for (const entry of undoStack) bytes += entry.data.byteLength;
+        for (const entry of redoStack) bytes += entry.data.byteLength;
+        return bytes;
+    }
+
+    // Oldest undo steps go first, then the redo steps furthest away
+    function trim() {
+        while (usage() > budget && (undoStack.length > 0 || redoStack.length > 0)) {
+            if (undoStack.length > 0) {
+                undoStack.shift();
+            } else {
+                redoStack.shift();
+            }
+        }
+    }
+
+    return {
+        get canUndo() { return undoStack.length > 0; },
+        get canRedo() { return redoStack.length > 0; },
+        get usage() { return usage(); },
+
+        // Call with the board as it is just before an edit
+        record(board) {
+            undoStack.push(createEntry(board));
+            redoStack.length = 0;
+            trim();
+        },
+
+        // Both take the current board and return the one to show, or null
+        undo(current) {
+            if (undoStack.length === 0) return null;
+            const entry = undoStack.pop();
+            redoStack.push(createEntry(current));
+            trim();
+            return restoreEntry(entry);
+        },
+
+        redo(current) {
+            if (redoStack.length === 0) return null;
+            const entry = redoStack.pop();
+            undoStack.push(createEntry(current));
+            trim();
+            return restoreEntry(entry);
+        },
+
+        setBudget(bytes) {
+            budget = bytes;
+            trim();
+        },
+    };
+}